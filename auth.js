@@ -2,6 +2,8 @@
 
 const crypto = require('crypto');
 const _ = require('lodash');
+const errors = require('./errors');
+const rateLimit = require('./rate-limit');
 
 const nodeVersion = Number(process.version.replace(/^v(\d{1,})\..+$/, '$1'));
 
@@ -15,30 +17,112 @@ schema.plugin(authPlugin[, OPTIONS]);
 ```
 */
 
+/**
+ * Events emitted on the model with an object containing the `user` (if known), `username` (if known), `context` (if provided to `authenticate`) and `timestamp`:
+ * - `auth:success` - a user authenticated.
+ * - `auth:failure` - authentication failed. Also contains the `reason` (`missingUsername`, `missingPassphrase`, `unknownUsername`, `ambiguousUsername`, `incorrectPassphrase`, `locked`, `rateLimited`, `passphraseExpired`, `passphraseChangeRequired`, `secondFactorRequired`, `incorrectVerificationCode` or `error`) and the `error`.
+ * - `auth:locked` - a user was locked after repeated failed authentications. Also contains `lockUntil`.
+ * - `auth:register` - a new user was saved.
+ * - `auth:passphraseChanged` - a user was saved with a new passphrase.
+ * - `auth:refreshTokenReused` - a rotated refresh token was presented again and its family was revoked. Also contains the `family`.
+ * @example
+```js
+MyUserModel.on('auth:failure', function(event) {...});
+```
+*/
+
 module.exports = authPlugin;
+module.exports.AuthError = errors.AuthError;
+module.exports.UnknownUserError = errors.UnknownUserError;
+module.exports.IncorrectPassphraseError = errors.IncorrectPassphraseError;
+module.exports.MissingCredentialError = errors.MissingCredentialError;
+module.exports.DuplicateUserError = errors.DuplicateUserError;
+module.exports.AccountLockedError = errors.AccountLockedError;
+module.exports.RateLimitedError = errors.RateLimitedError;
+module.exports.isAuthError = errors.isAuthError;
+module.exports.getOptions = getOptions;
+module.exports.getUsernamePath = getUsernamePath;
+module.exports.middleware = require('./middleware');
+module.exports.rateLimit = rateLimit;
+
+// Resolved plugin options by schema
+const schemaOptions = new WeakMap();
+
+/**
+ * Returns the resolved plugin options (including defaults) of a model or schema using the plugin (e.g. for adapters).
+ * @function getOptions
+ * @param {object} model - Mongoose model or schema.
+ * @return {object|undefined}
+
+ * @example
+```js
+authPlugin.getOptions(MyUserModel).username.path; // 'username'
+```
+*/
+function getOptions(model) {
+  return schemaOptions.get(model.schema || model);
+}
+
+/**
+ * Returns the (first) username path of a model or schema using the plugin (e.g. for the default username field of adapters). *Defaults to `username`.*
+ * @function getUsernamePath
+ * @param {object} model - Mongoose model or schema.
+ * @return {string}
+
+ * @example
+```js
+authPlugin.getUsernamePath(MyUserModel); // 'username'
+```
+*/
+function getUsernamePath(model) {
+  const options = getOptions(model);
+  const username = _.castArray(options ? options.username.path : 'username')[0];
+
+  return _.isString(username) ? username : username.path;
+}
 
 function authPlugin(schema, options) {
   /**
    * @param {object} [options]
 
    * @param {object} [options.username] - options for configuring the username.
-   * @param {string} [options.username.path=username] - the path for storing the username. *Value can be set to `_id`*
+   * @param {string|Array} [options.username.path=username] - the path for storing the username. *Value can be set to `_id`* An array of paths (e.g. `['username', 'email']`) allows users to authenticate with any of them. Array entries can also be objects with a `path` and `options` (overriding `options.username.options` for that path, e.g. to specify `lowercase` for an email path). *The first path is used by `register`.*
    * @param {object} [options.username.options] - options for configuring the username path in the schema.
    * @param {object} [options.username.options.type=String] - object type for the username path. *Specifying an existing username path ignores all options specified here.*
    * @param {boolean} [options.username.options.required=true] - spcifies wether the username path is required.
    * @param {boolean} [options.username.options.unique=true] - spcifies wether the username path is required.
    * @param {boolean} [options.username.options.sparse=true] - spcifies wether the username path is required.
    * @param {boolean} [options.username.options.trim=true] - spcifies wether the username path is required.
+   * @param {string|function|Array} [options.username.normalize] - normalization applied to string usernames when set (e.g. `register`) and when looking up users (e.g. `authenticate`). Either `lowercase`, `nfkc` (Unicode NFKC normalization), a custom function (called with the username and returning the normalized username) or an array of these applied in order.
+   * @param {object} [options.username.collation] - collation (e.g. `{ locale: 'en', strength: 2 }` for case insensitivity) used for the unique username index and when looking up users. *Requires MongoDB v3.4+. Only applied to the index of username paths added by the plugin.*
    * @param {string} [options.username.missingError=Username was not specified] - message returned via an error object for methods requiring a username.
    * @param {string} [options.username.incorrectError=Unknown username] - message returned via an error object if username does not match a record.
+   * @param {string} [options.username.duplicateError=Username already exists] - message returned via an error object by `register` if username matches an existing record.
+   * @param {string} [options.username.ambiguousError=Username matches multiple accounts] - message returned via an error object if username matches more than one record (when using multiple username paths).
 
-   * @param {object} [options.passphrase] - options for configuring the passphrase.
+   * @param {object} [options.passphrase] - options for configuring the passphrase. *A passphrase set by a query (`update`, `updateOne`, `findOneAndUpdate` or `replaceOne`, including upserts) is hashed (checking the policy against the matched user) in the same update. Updates that cannot be hashed safely are rejected: other operators than `$set` and `$setOnInsert` on the passphrase path, updates of multiple users, with `options.history.len` set or replacements with `options.token.secret` set.*
    * @param {string} [options.passphrase.path=passphrase] - the path for storing the passphrase.
    * @param {object} [options.passphrase.options] - options for configuring the passphrase path in the schema.
    * @param {object} [options.passphrase.options.type=String] - object type for the passphrase path. *Specifying an existing passphrase path ignores all options specified here.*
    * @param {boolean} [options.passphrase.options.required=true] - spcifies wether the passphrase path is required.
    * @param {string} [options.passphrase.missingError=Passphrase was not specified] - message returned via an error object for methods requiring a passphrase.
    * @param {string} [options.passphrase.incorrectError=Incorrect passphrase] - message returned via an error object if passphrase does not match the record.
+   * @param {string} [options.passphrase.updateOperatorError=Passphrase can only be updated with `$set` or `$setOnInsert`] - message returned via an error object if a query updates the passphrase with other operators than `$set` and `$setOnInsert`.
+   * @param {string} [options.passphrase.updateMultipleError=Passphrase cannot be updated for multiple users] - message returned via an error object if a query updates the passphrase of multiple users.
+   * @param {string} [options.passphrase.updateHistoryError=Passphrase cannot be updated by a query with passphrase history (use `setPassphrase`)] - message returned via an error object if a query updates the passphrase with `options.history.len` set.
+   * @param {string} [options.passphrase.updateReplacementError=Passphrase cannot be replaced by a query with tokens (use `setPassphrase`)] - message returned via an error object if a query replaces the user (and passphrase) with `options.token.secret` set.
+   * @param {string} [options.passphrase.updateTypeError=Passphrase must be a string] - message returned via an error object if a query updates the passphrase with a value that is not a string.
+   * @param {object} [options.passphrase.policy] - options for configuring the passphrase policy. Violations are reported as a validation error on the passphrase path (with the rule as the error `kind`) before the passphrase is hashed.
+   * @param {number} [options.passphrase.policy.minLength=1] - minimum number of characters.
+   * @param {number} [options.passphrase.policy.maxLength] - maximum number of characters.
+   * @param {number} [options.passphrase.policy.lowercase=0] - minimum number of lowercase characters.
+   * @param {number} [options.passphrase.policy.uppercase=0] - minimum number of uppercase characters.
+   * @param {number} [options.passphrase.policy.digits=0] - minimum number of digits.
+   * @param {number} [options.passphrase.policy.symbols=0] - minimum number of non-alphanumeric characters.
+   * @param {string[]} [options.passphrase.policy.denylist] - passphrases that are not allowed (e.g. common passwords). *Compared case insensitively.*
+   * @param {boolean} [options.passphrase.policy.username=false] - specifies whether passphrases containing the username are rejected. *Compared case insensitively.*
+   * @param {function} [options.passphrase.policy.validator] - custom validator called with the passphrase and the user document. Returning (or resolving) `false` or a string message rejects the passphrase.
+   * @param {object} [options.passphrase.policy.messages] - messages returned via the validation error for each rule (`minLength`, `maxLength`, `lowercase`, `uppercase`, `digits`, `symbols`, `denylist`, `username` and `validator`).
 
    * @param {object} [options.salt] - options for configuring the salt.
    * @param {string} [options.salt.path=salt] - the path for storing the salt.
@@ -47,13 +131,180 @@ function authPlugin(schema, options) {
    * @param {boolean} [options.salt.options.required=true] - spcifies wether the salt path is required.
    * @param {number} [options.salt.len=32] - the string length to use for the salt.
 
+   * @param {object} [options.failedAttempts] - options for configuring the failed authentication attempts counter. *Only added if `options.lockout.attempts` is set.*
+   * @param {string} [options.failedAttempts.path=failedAttempts] - the path for storing the failed authentication attempts counter.
+   * @param {object} [options.failedAttempts.options] - options for configuring the failed attempts path in the schema.
+   * @param {object} [options.failedAttempts.options.type=Number] - object type for the failed attempts path. *Specifying an existing failed attempts path ignores all options specified here.*
+   * @param {number} [options.failedAttempts.options.default=0] - default value for the failed attempts path.
+
+   * @param {object} [options.lockUntil] - options for configuring the account lock expiration. *Only added if `options.lockout.attempts` is set.*
+   * @param {string} [options.lockUntil.path=lockUntil] - the path for storing the account lock expiration.
+   * @param {object} [options.lockUntil.options] - options for configuring the lock expiration path in the schema.
+   * @param {object} [options.lockUntil.options.type=Date] - object type for the lock expiration path. *Specifying an existing lock expiration path ignores all options specified here.*
+
+   * @param {object} [options.lockout] - options for configuring account lockout after repeated failed authentications.
+   * @param {number} [options.lockout.attempts=0] - number of consecutive failed authentications before locking the account. *A value of `0` disables lockout.*
+   * @param {number} [options.lockout.duration=900000] - the time in milliseconds an account is locked.
+   * @param {boolean} [options.lockout.backoff=false] - specifies whether the lock duration doubles for each failed authentication beyond `options.lockout.attempts`.
+   * @param {number} [options.lockout.maxDuration=86400000] - the maximum time in milliseconds an account is locked when using backoff.
+   * @param {string} [options.lockout.lockedError=Account is locked] - message returned via an error object if the account is locked.
+
+   * @param {object} [options.rateLimit] - options for configuring rate limiting of the `authenticate` static (separate from `options.lockout`). Attempts are counted by username and by client key (e.g. the IP address) in a sliding window before any hashing. Once either count exceeds its limit a `RateLimitedError` is reported with `retryAfter` (in seconds). *Rejected attempts are also counted.*
+   * @param {boolean} [options.rateLimit.enabled=false] - specifies whether attempts are rate limited.
+   * @param {number} [options.rateLimit.window=900000] - the duration in milliseconds of the sliding window.
+   * @param {number} [options.rateLimit.maxPerUsername=10] - the maximum number of attempts for a username within the window. *Usernames are counted case insensitively. A value of `0` disables limiting by username.*
+   * @param {number} [options.rateLimit.maxPerClient=100] - the maximum number of attempts for a client key within the window. *A value of `0` disables limiting by client key.*
+   * @param {function} [options.rateLimit.clientKey] - function called with the context of the attempt returning the client key. *Defaults to the `ip` of the context. A `clientKey` specified to `authenticate` takes precedence.*
+   * @param {object} [options.rateLimit.store] - the store of the counters (see the `rate-limit` module, e.g. a `MemoryStore`). *Defaults to a `MongoStore` using `options.rateLimit.collection` of the model's connection.*
+   * @param {string} [options.rateLimit.collection=authratelimit] - the name of the collection for storing counters (expired by a TTL index).
+   * @param {string} [options.rateLimit.limitedError=Too many authentication attempts] - message returned via an error object if an attempt is rate limited.
+
+   * @param {object} [options.resetToken] - options for configuring passphrase reset tokens. *Only added if `options.resetToken.ttl` is set.*
+   * @param {string} [options.resetToken.path=resetToken] - the path for storing the hashed reset token.
+   * @param {object} [options.resetToken.options] - options for configuring the reset token path in the schema.
+   * @param {object} [options.resetToken.options.type=String] - object type for the reset token path. *Specifying an existing reset token path ignores all options specified here.*
+   * @param {boolean} [options.resetToken.options.index=true] - specifies whether the reset token path is indexed.
+   * @param {boolean} [options.resetToken.options.sparse=true] - specifies whether the reset token path index is sparse.
+   * @param {number} [options.resetToken.len=32] - the byte length to use for generating the reset token.
+   * @param {number} [options.resetToken.ttl=0] - the time in milliseconds a reset token is valid. *A value of `0` disables reset tokens.*
+   * @param {string} [options.resetToken.missingError=Reset token was not specified] - message returned via an error object for methods requiring a reset token.
+   * @param {string} [options.resetToken.incorrectError=Invalid reset token] - message returned via an error object if the reset token does not match a record or has expired.
+
+   * @param {object} [options.resetTokenExpires] - options for configuring the reset token expiration. *Only added if `options.resetToken.ttl` is set.*
+   * @param {string} [options.resetTokenExpires.path=resetTokenExpires] - the path for storing the reset token expiration.
+   * @param {object} [options.resetTokenExpires.options] - options for configuring the reset token expiration path in the schema.
+   * @param {object} [options.resetTokenExpires.options.type=Date] - object type for the reset token expiration path. *Specifying an existing reset token expiration path ignores all options specified here.*
+
+   * @param {object} [options.history] - options for configuring the passphrase history used to prevent reuse. *Only added if `options.history.len` is set.*
+   * @param {string} [options.history.path=passphraseHistory] - the path for storing previous passphrase hashes (including their salts and parameters).
+   * @param {object} [options.history.options] - options for configuring the history path in the schema.
+   * @param {object} [options.history.options.type=[String]] - object type for the history path. *Specifying an existing history path ignores all options specified here.*
+   * @param {number} [options.history.len=0] - the number of previous passphrases retained. A new passphrase matching the current or a retained passphrase is reported as a validation error on the passphrase path (with `history` as the error `kind`). *A value of `0` disables the history.*
+   * @param {string} [options.history.reusedError=Passphrase was used previously] - message returned via the validation error if the passphrase was used previously.
+
+   * @param {object} [options.passphraseChangedAt] - options for configuring when the passphrase was last changed. *Only added if `options.expiry.enabled` is set.*
+   * @param {string} [options.passphraseChangedAt.path=passphraseChangedAt] - the path for storing when the passphrase was last changed. *Updated whenever a new passphrase is hashed (but not when re-hashing upon authentication).*
+   * @param {object} [options.passphraseChangedAt.options] - options for configuring the passphrase changed path in the schema.
+   * @param {object} [options.passphraseChangedAt.options.type=Date] - object type for the passphrase changed path. *Specifying an existing passphrase changed path ignores all options specified here.*
+
+   * @param {object} [options.mustChangePassphrase] - options for configuring the flag forcing a passphrase change. *Only added if `options.expiry.enabled` is set.*
+   * @param {string} [options.mustChangePassphrase.path=mustChangePassphrase] - the path for storing the flag. *Cleared whenever a new passphrase is hashed.*
+   * @param {object} [options.mustChangePassphrase.options] - options for configuring the flag path in the schema.
+   * @param {object} [options.mustChangePassphrase.options.type=Boolean] - object type for the flag path. *Specifying an existing flag path ignores all options specified here.*
+   * @param {boolean} [options.mustChangePassphrase.options.default=false] - default value for the flag path.
+
+   * @param {object} [options.expiry] - options for configuring passphrase expiry.
+   * @param {boolean} [options.expiry.enabled=false] - specifies whether passphrase expiry and the forced change flag are enabled.
+   * @param {number} [options.expiry.maxAge=0] - the time in milliseconds after which a passphrase must be changed. *A value of `0` disables the age check. Passphrases without a changed date never expire.*
+   * @param {boolean} [options.expiry.reject=false] - specifies whether authentication is rejected when a passphrase change is required. Otherwise the user is resolved and `user.isPassphraseChangeRequired()` reports the change is required. *The `setPassphrase` static still allows changing the passphrase.*
+   * @param {string} [options.expiry.expiredError=Passphrase has expired] - message returned via an error object if the passphrase is older than `options.expiry.maxAge`.
+   * @param {string} [options.expiry.changeRequiredError=Passphrase change is required] - message returned via an error object if the passphrase change flag is set.
+
+   * @param {object} [options.totpSecret] - options for configuring the encrypted TOTP secret. *Only added if `options.totp.enabled` is set.*
+   * @param {string} [options.totpSecret.path=totpSecret] - the path for storing the encrypted TOTP secret.
+   * @param {object} [options.totpSecret.options] - options for configuring the TOTP secret path in the schema.
+   * @param {object} [options.totpSecret.options.type=String] - object type for the TOTP secret path. *Specifying an existing TOTP secret path ignores all options specified here.*
+
+   * @param {object} [options.totpEnabled] - options for configuring the TOTP enrolment flag. *Only added if `options.totp.enabled` is set.*
+   * @param {string} [options.totpEnabled.path=totpEnabled] - the path for storing whether TOTP enrolment was completed.
+   * @param {object} [options.totpEnabled.options] - options for configuring the TOTP enrolment path in the schema.
+   * @param {object} [options.totpEnabled.options.type=Boolean] - object type for the TOTP enrolment path. *Specifying an existing TOTP enrolment path ignores all options specified here.*
+   * @param {boolean} [options.totpEnabled.options.default=false] - default value for the TOTP enrolment path.
+
+   * @param {object} [options.totpCounter] - options for configuring the last used TOTP time step. *Only added if `options.totp.enabled` is set.*
+   * @param {string} [options.totpCounter.path=totpCounter] - the path for storing the last used TOTP time step.
+   * @param {object} [options.totpCounter.options] - options for configuring the TOTP time step path in the schema.
+   * @param {object} [options.totpCounter.options.type=Number] - object type for the TOTP time step path. *Specifying an existing TOTP time step path ignores all options specified here.*
+
+   * @param {object} [options.totp] - options for configuring [RFC 6238](https://tools.ietf.org/html/rfc6238) TOTP two-factor authentication.
+   * @param {boolean} [options.totp.enabled=false] - specifies whether TOTP two-factor authentication is enabled.
+   * @param {string|Buffer} options.totp.key - the key used for encrypting TOTP secrets (AES-256-GCM). *Required if `options.totp.enabled` is set.*
+   * @param {string} [options.totp.issuer] - the issuer (e.g. the application name) reported in enrolment URIs.
+   * @param {number} [options.totp.secretLen=20] - the byte length to use for generating TOTP secrets.
+   * @param {number} [options.totp.digits=6] - the number of digits of a code.
+   * @param {number} [options.totp.period=30] - the time step in seconds.
+   * @param {string} [options.totp.digest=sha1] - the HMAC digest algorithm to use for generating codes.
+   * @param {number} [options.totp.window=1] - the number of time steps before and after the current time step a code is accepted for (to allow for clock drift).
+   * @param {boolean} [options.totp.replay=true] - specifies whether a code (or a code of an earlier time step) is rejected once used.
+   * @param {string} [options.totp.missingError=Verification code was not specified] - message returned via an error object for methods requiring a code.
+   * @param {string} [options.totp.incorrectError=Incorrect verification code] - message returned via an error object if a code is incorrect or was already used.
+   * @param {string} [options.totp.unavailableError=Two-factor authentication is not set up] - message returned via an error object if the user has no TOTP secret.
+   * @param {string} [options.totp.pendingError=Second factor is required] - message returned via an error object by `authenticate` if the passphrase is correct but the user has TOTP enabled. The authenticated user is available as `err.user` for verifying a code with `err.user.verifyTotp(code)`.
+
+   * @param {object} [options.recoveryCodes] - options for configuring single use recovery codes (e.g. as a fallback for a lost second factor).
+   * @param {boolean} [options.recoveryCodes.enabled=false] - specifies whether recovery codes are enabled.
+   * @param {string} [options.recoveryCodes.path=recoveryCodes] - the path for storing the hashed recovery codes.
+   * @param {object} [options.recoveryCodes.options] - options for configuring the recovery codes path in the schema.
+   * @param {object} [options.recoveryCodes.options.type=[String]] - object type for the recovery codes path. *Specifying an existing recovery codes path ignores all options specified here.*
+   * @param {number} [options.recoveryCodes.count=10] - the default number of recovery codes generated.
+   * @param {number} [options.recoveryCodes.len=10] - the number of characters of a recovery code (excluding the separator).
+   * @param {string} [options.recoveryCodes.missingError=Recovery code was not specified] - message returned via an error object for methods requiring a recovery code.
+   * @param {string} [options.recoveryCodes.incorrectError=Incorrect recovery code] - message returned via an error object if a recovery code is incorrect or was already used.
+
+   * @param {object} [options.pepperVersion] - options for configuring the pepper version a passphrase was hashed with. *Only added if `options.pepper.keys` are set.*
+   * @param {string} [options.pepperVersion.path=pepperVersion] - the path for storing the pepper version.
+   * @param {object} [options.pepperVersion.options] - options for configuring the pepper version path in the schema.
+   * @param {object} [options.pepperVersion.options.type=String] - object type for the pepper version path. *Specifying an existing pepper version path ignores all options specified here.*
+
+   * @param {object} [options.pepper] - options for configuring a secret pepper (kept outside of the database) applied to passphrases with HMAC before hashing.
+   * @param {object} [options.pepper.keys] - the pepper keys (strings or Buffers) by version id. *Retain previous versions until no accounts use them (see `countPepperVersions`).*
+   * @param {string} [options.pepper.current] - the version id of the key used for hashing new passphrases. *Required if `options.pepper.keys` are set.* Users with a different (or no) pepper version are upgraded upon successful authentication.
+   * @param {string} [options.pepper.digest=sha256] - the HMAC digest algorithm to use for applying the pepper.
+
    * @param {object} [options.hash] - options for configuring the hash using the [crypto](https://nodejs.org/api/crypto.html) module.
+   * @param {string|object} [options.hash.algorithm=pbkdf2] - the algorithm used for hashing new passphrases. Either a built-in algorithm (`pbkdf2` or `scrypt` (Node v10.5+)) or an adapter object (see `options.hash.adapters`).
+   * @param {object[]} [options.hash.adapters] - additional adapter objects for verifying passphrases hashed with other algorithms (e.g. argon2 or bcrypt). An adapter must provide `id` (string), `hash(passphrase, salt, hashOptions)` and `verify(passphrase, storedHash, hashOptions)` functions (returning a value or promise) and may provide `identify(storedHash)` (defaults to matching a `$<id>$` prefix, e.g. provide `identify` matching `$2b$` for bcrypt hashes imported with `importUser`) and `needsRehash(storedHash, hashOptions)` functions.
    * @param {number} [options.hash.iterations=25000] - number of iterations for generating the hash.
    * @param {number} [options.hash.keylen=512] - the string length of the generated hash.
    * @param {string} [options.hash.encoding=hex] - the encoding algorithm to use for the hash.
-   * @param {string} [options.hash.digest=sha512] - the HMAC digest algorithm to use for the hash. (Node v8+)
+   * @param {string} [options.hash.digest=sha512] - the HMAC digest algorithm to use for the hash. (Node v8+) *pbkdf2 only*
+   * @param {number} [options.hash.cost=16384] - the CPU/memory cost parameter for the hash. *scrypt only*
+   * @param {number} [options.hash.blockSize=8] - the block size parameter for the hash. *scrypt only*
+   * @param {number} [options.hash.parallelization=1] - the parallelization parameter for the hash. *scrypt only*
+   * @param {boolean} [options.hash.rehash=true] - specifies whether a passphrase hashed with weaker parameters than the current options is re-hashed and saved upon successful authentication. *Salted digests imported with `importUser` are always re-hashed.*
+
+   * @param {object} [options.credentials] - options for configuring credentials.
+   * @param {boolean} [options.credentials.generic=false] - specifies whether unknown username and incorrect passphrase errors are both reported with `options.credentials.incorrectError` so that existing usernames cannot be discerned. *`createResetToken` also resolves without a token for an unknown username.*
+   * @param {string} [options.credentials.incorrectError=Invalid credentials] - message returned via an error object if the credentials do not match a record when `options.credentials.generic` is enabled.
+   * @param {boolean} [options.credentials.hidden=true] - specifies whether credentials are hidden. The passphrase and salt paths added by the plugin are not selected by default (`select: false`, *explicitly selected by `authenticate`*) and the passphrase, salt, history, TOTP secret, recovery codes, refresh tokens and reset token are removed from the output of `toJSON` and `toObject` (wrapping any transform already specified in the schema options). *Select the paths with e.g. `+passphrase` to load them.*
+
+   * @param {object} [options.tokenVersion] - options for configuring the version of issued tokens. *Only added if `options.token.secret` is set.*
+   * @param {string} [options.tokenVersion.path=tokenVersion] - the path for storing the token version. *Incremented whenever a new passphrase is set, revoking previously issued tokens.*
+   * @param {object} [options.tokenVersion.options] - options for configuring the token version path in the schema.
+   * @param {object} [options.tokenVersion.options.type=Number] - object type for the token version path. *Specifying an existing token version path ignores all options specified here.*
+   * @param {number} [options.tokenVersion.options.default=0] - default value for the token version path.
+
+   * @param {object} [options.token] - options for configuring signed [JSON Web Tokens](https://tools.ietf.org/html/rfc7519) (e.g. for sessions or API access).
+   * @param {string|Buffer} [options.token.secret] - the secret used for signing tokens. *Tokens are disabled unless set.*
+   * @param {string} [options.token.algorithm=HS256] - the signing algorithm (`HS256` or `HS512`).
+   * @param {number} [options.token.expiresIn=3600] - the time in seconds an issued token is valid. *A value of `0` issues tokens without an expiry.*
+   * @param {string} [options.token.issuer] - the issuer (`iss` claim) of issued tokens. Verified tokens must match.
+   * @param {string} [options.token.audience] - the audience (`aud` claim) of issued tokens. Verified tokens must match.
+   * @param {number} [options.token.clockTolerance=0] - the time in seconds of clock difference allowed when verifying the expiry.
+   * @param {string} [options.token.missingError=Token was not specified] - message returned via an error object for methods requiring a token.
+   * @param {string} [options.token.incorrectError=Invalid token] - message returned via an error object if a token is malformed, has an invalid signature or does not match the issuer or audience.
+   * @param {string} [options.token.expiredError=Token has expired] - message returned via an error object if a token has expired.
+   * @param {string} [options.token.revokedError=Token has been revoked] - message returned via an error object if a token was issued for a previous token version (or for a removed user).
 
-   * @param {object} [options.Error=Error] - Error object to use for reporting errors. *Must be of the type Error or inherites from it*
+   * @param {object} [options.refreshTokens] - options for configuring rotating refresh tokens. Each token belongs to a family (e.g. a device) that is revoked if a rotated token is presented again.
+   * @param {boolean} [options.refreshTokens.enabled=false] - specifies whether refresh tokens are enabled.
+   * @param {string} [options.refreshTokens.path=refreshTokens] - the path for storing the refresh token families (with hashed tokens).
+   * @param {object} [options.refreshTokens.options] - options for configuring the refresh tokens path in the schema.
+   * @param {object} [options.refreshTokens.options.type=Array] - object type for the refresh tokens path. *Specifying an existing refresh tokens path ignores all options specified here.*
+   * @param {number} [options.refreshTokens.len=32] - the byte length to use for generating refresh tokens.
+   * @param {number} [options.refreshTokens.ttl=2592000000] - the time in milliseconds a refresh token is valid (renewed with each rotation).
+   * @param {number} [options.refreshTokens.history=20] - the number of rotated tokens retained per family for detecting reuse.
+   * @param {string} [options.refreshTokens.missingError=Refresh token was not specified] - message returned via an error object for methods requiring a refresh token.
+   * @param {string} [options.refreshTokens.incorrectError=Invalid refresh token] - message returned via an error object if a refresh token does not match a record or has expired.
+   * @param {string} [options.refreshTokens.reusedError=Refresh token was reused] - message returned via an error object if a rotated refresh token is presented again.
+
+   * @param {object} [options.audit] - options for configuring the audit trail of authentication events (see the `auth:*` events emitted on the model).
+   * @param {boolean} [options.audit.enabled=false] - specifies whether events are written to the audit collection. Documents contain the `event`, `user` (id), `username`, `reason` (for failures), `context` and `timestamp`. *Failed writes (including an existing collection that is not capped) are emitted on the model as `auth:auditError` events.*
+   * @param {string} [options.audit.collection=authaudit] - the name of the capped collection for storing events. *An existing collection must be capped.*
+   * @param {number} [options.audit.size=1048576] - the maximum size in bytes of the capped collection.
+   * @param {number} [options.audit.max] - the maximum number of documents in the capped collection.
+
+   * @param {object} [options.Error=Error] - Error object to use for reporting errors. *Must be of the type Error or inherites from it* By default errors are instances of the error classes (see `mongoose-plugin-auth/errors`). A specified error object is used instead with the same `code` property.
    * @param {string} [options.select] - Mongoose field selection to use for authenticate method/static.
    * @param {string} [options.populate] - Mongoose populate selection to use for authenticate method/static.
   */
@@ -67,8 +318,12 @@ function authPlugin(schema, options) {
         sparse: true,
         trim: true
       },
+      normalize: [],
+      collation: undefined,
       missingError: 'Username was not specified',
-      incorrectError: 'Unknown username'
+      incorrectError: 'Unknown username',
+      duplicateError: 'Username already exists',
+      ambiguousError: 'Username matches multiple accounts'
     },
     passphrase: {
       path: 'passphrase',
@@ -77,7 +332,34 @@ function authPlugin(schema, options) {
         required: true
       },
       missingError: 'Passphrase was not specified',
-      incorrectError: 'Incorrect passphrase'
+      incorrectError: 'Incorrect passphrase',
+      updateOperatorError: 'Passphrase can only be updated with `$set` or `$setOnInsert`',
+      updateMultipleError: 'Passphrase cannot be updated for multiple users',
+      updateHistoryError: 'Passphrase cannot be updated by a query with passphrase history (use `setPassphrase`)',
+      updateReplacementError: 'Passphrase cannot be replaced by a query with tokens (use `setPassphrase`)',
+      updateTypeError: 'Passphrase must be a string',
+      policy: {
+        minLength: 1,
+        maxLength: undefined,
+        lowercase: 0,
+        uppercase: 0,
+        digits: 0,
+        symbols: 0,
+        denylist: [],
+        username: false,
+        validator: undefined,
+        messages: {
+          minLength: 'Passphrase is too short',
+          maxLength: 'Passphrase is too long',
+          lowercase: 'Passphrase requires more lowercase characters',
+          uppercase: 'Passphrase requires more uppercase characters',
+          digits: 'Passphrase requires more digits',
+          symbols: 'Passphrase requires more symbols',
+          denylist: 'Passphrase is too common',
+          username: 'Passphrase must not contain the username',
+          validator: 'Passphrase does not meet the policy'
+        }
+      }
     },
     salt: {
       path: 'salt',
@@ -87,27 +369,401 @@ function authPlugin(schema, options) {
       },
       len: 32
     },
+    failedAttempts: {
+      path: 'failedAttempts',
+      options: {
+        type: Number,
+        default: 0
+      }
+    },
+    lockUntil: {
+      path: 'lockUntil',
+      options: {
+        type: Date
+      }
+    },
+    lockout: {
+      attempts: 0,
+      duration: 15 * 60 * 1000,
+      backoff: false,
+      maxDuration: 24 * 60 * 60 * 1000,
+      lockedError: 'Account is locked'
+    },
+    rateLimit: {
+      enabled: false,
+      window: 15 * 60 * 1000,
+      maxPerUsername: 10,
+      maxPerClient: 100,
+      clientKey: function clientKey(context) {
+        return _.get(context, 'ip');
+      },
+      store: undefined,
+      collection: 'authratelimit',
+      limitedError: 'Too many authentication attempts'
+    },
+    resetToken: {
+      path: 'resetToken',
+      options: {
+        type: String,
+        index: true,
+        sparse: true
+      },
+      len: 32,
+      ttl: 0,
+      missingError: 'Reset token was not specified',
+      incorrectError: 'Invalid reset token'
+    },
+    resetTokenExpires: {
+      path: 'resetTokenExpires',
+      options: {
+        type: Date
+      }
+    },
+    history: {
+      path: 'passphraseHistory',
+      options: {
+        type: [String]
+      },
+      len: 0,
+      reusedError: 'Passphrase was used previously'
+    },
+    passphraseChangedAt: {
+      path: 'passphraseChangedAt',
+      options: {
+        type: Date
+      }
+    },
+    mustChangePassphrase: {
+      path: 'mustChangePassphrase',
+      options: {
+        type: Boolean,
+        default: false
+      }
+    },
+    expiry: {
+      enabled: false,
+      maxAge: 0,
+      reject: false,
+      expiredError: 'Passphrase has expired',
+      changeRequiredError: 'Passphrase change is required'
+    },
+    totpSecret: {
+      path: 'totpSecret',
+      options: {
+        type: String
+      }
+    },
+    totpEnabled: {
+      path: 'totpEnabled',
+      options: {
+        type: Boolean,
+        default: false
+      }
+    },
+    totpCounter: {
+      path: 'totpCounter',
+      options: {
+        type: Number
+      }
+    },
+    totp: {
+      enabled: false,
+      key: undefined,
+      issuer: undefined,
+      secretLen: 20,
+      digits: 6,
+      period: 30,
+      digest: 'sha1',
+      window: 1,
+      replay: true,
+      missingError: 'Verification code was not specified',
+      incorrectError: 'Incorrect verification code',
+      unavailableError: 'Two-factor authentication is not set up',
+      pendingError: 'Second factor is required'
+    },
+    recoveryCodes: {
+      enabled: false,
+      path: 'recoveryCodes',
+      options: {
+        type: [String]
+      },
+      count: 10,
+      len: 10,
+      missingError: 'Recovery code was not specified',
+      incorrectError: 'Incorrect recovery code'
+    },
+    pepperVersion: {
+      path: 'pepperVersion',
+      options: {
+        type: String
+      }
+    },
+    pepper: {
+      keys: {},
+      current: undefined,
+      digest: 'sha256'
+    },
     hash: {
+      algorithm: 'pbkdf2',
+      adapters: [],
       iterations: 25000,
       keylen: 512,
       encoding: 'hex',
-      digest: 'sha512'
+      digest: 'sha512',
+      cost: 16384,
+      blockSize: 8,
+      parallelization: 1,
+      rehash: true
+    },
+    credentials: {
+      generic: false,
+      incorrectError: 'Invalid credentials',
+      hidden: true
+    },
+    tokenVersion: {
+      path: 'tokenVersion',
+      options: {
+        type: Number,
+        default: 0
+      }
+    },
+    token: {
+      secret: undefined,
+      algorithm: 'HS256',
+      expiresIn: 60 * 60,
+      issuer: undefined,
+      audience: undefined,
+      clockTolerance: 0,
+      missingError: 'Token was not specified',
+      incorrectError: 'Invalid token',
+      expiredError: 'Token has expired',
+      revokedError: 'Token has been revoked'
+    },
+    refreshTokens: {
+      enabled: false,
+      path: 'refreshTokens',
+      options: {
+        type: Array
+      },
+      len: 32,
+      ttl: 30 * 24 * 60 * 60 * 1000,
+      history: 20,
+      missingError: 'Refresh token was not specified',
+      incorrectError: 'Invalid refresh token',
+      reusedError: 'Refresh token was reused'
+    },
+    audit: {
+      enabled: false,
+      collection: 'authaudit',
+      size: 1024 * 1024,
+      max: undefined
     },
     Error: Error,
     select: undefined,
     populate: undefined
   }, options || {});
 
-  if (!schema.path(options.username.path)) {
-    schema.path(options.username.path, options.username.options);
+  schemaOptions.set(schema, options);
+
+  const hashAlgorithm = _.isString(options.hash.algorithm) ?
+    algorithms[options.hash.algorithm] :
+    options.hash.algorithm;
+
+  if (!hashAlgorithm || !_.isFunction(hashAlgorithm.hash) || !_.isFunction(hashAlgorithm.verify)) {
+    throw new Error('Unsupported hash algorithm: ' + (hashAlgorithm && hashAlgorithm.id || options.hash.algorithm));
+  }
+
+  if (options.totp.enabled && !options.totp.key) {
+    throw new Error('A key is required for encrypting TOTP secrets');
+  }
+
+  // Every path a user can be identified by
+  const usernames = _.map(_.castArray(options.username.path), function usernameConfig(username) {
+    return _.isString(username) ?
+      { path: username, options: options.username.options } :
+      { path: username.path, options: _.assign({}, options.username.options, username.options) };
+  });
+
+  const normalizers = _.map(_.castArray(options.username.normalize), function usernameNormalizer(normalizer) {
+    const fn = _.isFunction(normalizer) ? normalizer : usernameNormalizers[normalizer];
+
+    if (!fn) {
+      throw new Error('Unsupported username normalization: ' + normalizer);
+    }
+
+    return fn;
+  });
+
+  const peppered = !_.isEmpty(options.pepper.keys);
+  const tokens = !!options.token.secret;
+
+  if (tokens && !_.has(tokenAlgorithms, options.token.algorithm)) {
+    throw new Error('Unsupported token algorithm: ' + options.token.algorithm);
+  }
+
+  if (peppered && !_.has(options.pepper.keys, options.pepper.current)) {
+    throw new Error('Unknown current pepper version: ' + options.pepper.current);
   }
 
+  // Every algorithm a stored passphrase may have been hashed with
+  const knownAlgorithms = _.uniqBy([hashAlgorithm].concat(options.hash.adapters, _.values(algorithms)), 'id');
+
+  // Used for hashing when no user matches to mask the response time
+  const dummySalt = crypto.randomBytes(options.salt.len).toString(options.hash.encoding);
+
+  // Users being re-hashed with the current options (the passphrase is unchanged)
+  const rehashing = new WeakSet();
+
+  // Users imported with an existing hash (stored as is)
+  const importing = new WeakSet();
+
+  // Users with a new passphrase to report once saved
+  const registering = new WeakSet();
+  const changingPassphrase = new WeakSet();
+
+  // Authentication errors by reason (and user) for reporting failures
+  const failures = new WeakMap();
+
+  // Default rate limit stores by connection
+  const rateLimitStores = new WeakMap();
+
+  // Capped audit collections (resolved once created or checked) by connection
+  const auditCollections = new WeakMap();
+
+  usernames.forEach(function addUsernamePath(username) {
+    if (!schema.path(username.path)) {
+      if (options.username.collation && username.options.unique) {
+        // Replaces the default unique index
+        schema.path(username.path, _.omit(username.options, ['unique', 'sparse']));
+        schema.index({ [username.path]: 1 }, {
+          unique: true,
+          sparse: username.options.sparse,
+          collation: options.username.collation
+        });
+      } else {
+        schema.path(username.path, username.options);
+      }
+    }
+
+    if (normalizers.length) {
+      schema.path(username.path).set(function normalizeUsername(value) {
+        if (!_.isString(value)) { return value; }
+
+        return _.reduce(normalizers, function applyNormalizer(value, normalizer) {
+          return normalizer(value);
+        }, value);
+      });
+    }
+  });
+
   if (!schema.path(options.salt.path)) {
-    schema.path(options.salt.path, options.salt.options);
+    schema.path(options.salt.path, hideCredential(options.salt.options));
   }
 
   if (!schema.path(options.passphrase.path)) {
-    schema.path(options.passphrase.path, options.passphrase.options);
+    schema.path(options.passphrase.path, hideCredential(options.passphrase.options));
+  }
+
+  if (options.lockout.attempts) {
+    if (!schema.path(options.failedAttempts.path)) {
+      schema.path(options.failedAttempts.path, options.failedAttempts.options);
+    }
+
+    if (!schema.path(options.lockUntil.path)) {
+      schema.path(options.lockUntil.path, options.lockUntil.options);
+    }
+  }
+
+  if (options.history.len) {
+    if (!schema.path(options.history.path)) {
+      schema.path(options.history.path, options.history.options);
+    }
+  }
+
+  if (options.expiry.enabled) {
+    if (!schema.path(options.passphraseChangedAt.path)) {
+      schema.path(options.passphraseChangedAt.path, options.passphraseChangedAt.options);
+    }
+
+    if (!schema.path(options.mustChangePassphrase.path)) {
+      schema.path(options.mustChangePassphrase.path, options.mustChangePassphrase.options);
+    }
+  }
+
+  if (options.totp.enabled) {
+    if (!schema.path(options.totpSecret.path)) {
+      schema.path(options.totpSecret.path, options.totpSecret.options);
+    }
+
+    if (!schema.path(options.totpEnabled.path)) {
+      schema.path(options.totpEnabled.path, options.totpEnabled.options);
+    }
+
+    if (!schema.path(options.totpCounter.path)) {
+      schema.path(options.totpCounter.path, options.totpCounter.options);
+    }
+  }
+
+  if (options.recoveryCodes.enabled) {
+    if (!schema.path(options.recoveryCodes.path)) {
+      schema.path(options.recoveryCodes.path, options.recoveryCodes.options);
+    }
+  }
+
+  if (options.refreshTokens.enabled) {
+    if (!schema.path(options.refreshTokens.path)) {
+      schema.path(options.refreshTokens.path, options.refreshTokens.options);
+    }
+  }
+
+  if (peppered) {
+    if (!schema.path(options.pepperVersion.path)) {
+      schema.path(options.pepperVersion.path, options.pepperVersion.options);
+    }
+  }
+
+  if (tokens) {
+    if (!schema.path(options.tokenVersion.path)) {
+      schema.path(options.tokenVersion.path, options.tokenVersion.options);
+    }
+  }
+
+  if (options.resetToken.ttl) {
+    if (!schema.path(options.resetToken.path)) {
+      schema.path(options.resetToken.path, options.resetToken.options);
+    }
+
+    if (!schema.path(options.resetTokenExpires.path)) {
+      schema.path(options.resetTokenExpires.path, options.resetTokenExpires.options);
+    }
+  }
+
+  if (options.credentials.hidden) {
+    const credentialPaths = _.compact([
+      options.passphrase.path,
+      options.salt.path,
+      options.history.len && options.history.path,
+      options.totp.enabled && options.totpSecret.path,
+      options.recoveryCodes.enabled && options.recoveryCodes.path,
+      options.refreshTokens.enabled && options.refreshTokens.path,
+      options.resetToken.ttl && options.resetToken.path
+    ]);
+
+    ['toJSON', 'toObject'].forEach(function hideSerialized(method) {
+      const settings = _.assign({}, schema.get(method));
+      const transform = settings.transform;
+
+      // Only applied to the user document (not to subdocuments)
+      settings.transform = function removeCredentials(doc, ret, opts) {
+        credentialPaths.forEach(function removeCredential(path) {
+          _.unset(ret, path);
+        });
+
+        return _.isFunction(transform) ? transform(doc, ret, opts) : ret;
+      };
+
+      schema.set(method, settings);
+    });
   }
 
   schema.pre('validate', true, function encryptPassphrase(next, done) {
@@ -122,31 +778,96 @@ function authPlugin(schema, options) {
 
     const passphrase = user.get(options.passphrase.path);
 
-    if (passphrase === undefined) {
+    if (passphrase === undefined || importing.delete(user)) {
       return done();
     }
 
-    crypto.randomBytes(options.salt.len, function createSalt(err, buf) {
-      if (err) { return done(err); }
+    const isRehash = rehashing.delete(user);
+    let history;
+
+    // A re-hashed passphrase was accepted when it was set (the policy may have changed since)
+    (isRehash ? Promise.resolve({}) : checkNewPassphrase(user, passphrase)).then(function enforcePolicy(result) {
+      const violation = result.violation;
 
-      const salt = buf.toString(options.hash.encoding);
+      history = result.history;
 
-      pbkdf2(passphrase, salt, options).then(function createHash(hash) {
-        user.set(options.passphrase.path, hash);
-        user.set(options.salt.path, salt);
+      if (violation !== undefined) {
+        // Reported as a validation error on the passphrase path (without the value)
+        user.invalidate(options.passphrase.path, violation.message, undefined, violation.kind);
+        // The salt is only set with the hash (reset once a valid passphrase is set)
+        user.$ignore(options.salt.path);
 
-        done();
-      }).catch(done);
+        return done();
+      }
+
+      crypto.randomBytes(options.salt.len, function createSalt(err, buf) {
+        if (err) { return done(err); }
+
+        const salt = buf.toString(options.hash.encoding);
+
+        Promise.resolve().then(function createHash() {
+          return hashAlgorithm.hash(pepper(passphrase, options.pepper.current), salt, options.hash);
+        }).then(function setHash(hash) {
+          user.set(options.passphrase.path, hash);
+          user.set(options.salt.path, salt);
+
+          if (peppered) {
+            user.set(options.pepperVersion.path, options.pepper.current);
+          }
+
+          if (history !== undefined) {
+            user.set(options.history.path, history.slice(0, options.history.len));
+          }
+
+          if (options.expiry.enabled && !isRehash) {
+            user.set(options.passphraseChangedAt.path, new Date());
+            user.set(options.mustChangePassphrase.path, false);
+          }
+
+          if (!isRehash) {
+            (user.isNew ? registering : changingPassphrase).add(user);
+          }
+
+          if (tokens && !isRehash && !user.isNew) {
+            // Revokes previously issued tokens
+            return loadTokenVersion(user, documentSession(user)).then(function bumpTokenVersion(version) {
+              user.set(options.tokenVersion.path, version + 1);
+            });
+          }
+        }).then(function hashed() {
+          done();
+        }).catch(done);
+      });
+    }).catch(done);
+  });
+
+  schema.post('save', function reportPassphrase(user) {
+    const details = { user: user, username: user.get(usernames[0].path) };
+
+    if (registering.delete(user)) {
+      emitEvent(user.constructor, 'auth:register', details);
+    } else if (changingPassphrase.delete(user)) {
+      emitEvent(user.constructor, 'auth:passphraseChanged', details);
+    }
+  });
+
+  // Passphrases set by a query (e.g. `updateOne`) are hashed in the same update
+  ['update', 'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(function hookUpdate(op) {
+    schema.pre(op, function encryptUpdatedPassphrase(next) {
+      hashUpdate(this, op).then(function hashed() {
+        next();
+      }, next);
     });
   });
 
   /**
-   * The `register` static is a convenience function to add a new user document.
+   * The `register` static is a convenience function to add a new user document. A `DuplicateUserError` is reported if a user with the username already exists.
+   * The arguments can also be specified as a single object (`{ username, passphrase, extra, signal, session }`) where `signal` is an `AbortSignal` for cancelling (see `authenticate`) and `session` is a `ClientSession` (*mongoose v5+*) the user is saved in (e.g. for a transaction).
    * @function register
    * @param {string} [username] - Username value to use. Optional if using the `_id` value.
    * @param {string} passphrase - Raw passphrase value. Hashed automatically before storing using crypto module.
    * @param {object} [extra] - Any extra object properties that match the schema to be included in the new user document.
-   * @param {function} [cb] - A mongoose promise is returned if no callback is provided.
+   * @param {function} [cb] - A promise is returned if no callback is provided.
    * @return {promise}
 
    * @example
@@ -159,14 +880,25 @@ MyUserModel.register('my secret passphrase', { email: tom@jerry.com }, function(
 MyUserModel.register('my secret passphrase', { email: tom@jerry.com }).then(function(user) {...}).then(function(err) {...}); // Uses promise and `_id` for the username
 MyUserModel.register('my secret passphrase', function(err, user) {...}); // Uses `_id` for the username
 MyUserModel.register('my secret passphrase').then(function(user) {...}).then(function(err) {...}); // Uses promise and `_id` for the username
+MyUserModel.register({ username: 'tom', passphrase: 'my secret passphrase', extra: { email: tom@jerry.com }, signal: signal }).then(function(user) {...}); // Uses an options object
+MyUserModel.register({ username: 'tom', passphrase: 'my secret passphrase', session: session }).then(function(user) {...}); // Uses a session
   ```
   */
   schema.static('register', function register(username, passphrase, extra, cb) {
     const User = this;
     const user = new User();
+    let signal;
 
     // Arity check
-    if (arguments.length === 1) {
+    if (_.isPlainObject(username)) {
+      // User.register({ username, passphrase, extra, signal, session }[, cb])
+      cb = passphrase;
+      passphrase = username.passphrase;
+      extra = username.extra;
+      signal = username.signal;
+      useSession(user, username.session);
+      username = username.username;
+    } else if (arguments.length === 1) {
       // User.register(passphrase)
       // Used if username field is autopopulated (e.g. `_id`)
       passphrase = username;
@@ -199,28 +931,154 @@ MyUserModel.register('my secret passphrase').then(function(user) {...}).then(fun
       }
     }
 
-    if (username !== undefined) {
-      user.set(options.username.path, username);
+    return callbackify(abortable(signal, function saveUser() {
+      if (username !== undefined) {
+        user.set(usernames[0].path, username);
+      }
+
+      if (extra !== undefined) {
+        user.set(extra);
+      }
+
+      user.set(options.passphrase.path, passphrase);
+
+      return user.save();
+    }).catch(function duplicateError(err) {
+      if (isDuplicateUsername(err)) {
+        throw createError(errors.DuplicateUserError, options.username.duplicateError);
+      }
+
+      throw err;
+    }), cb);
+  });
+
+  /**
+   * The `importUser` static is a function to add a user migrated from another system with an existing passphrase hash. The hash is stored as is (bypassing the passphrase policy) and upgraded to the current `options.hash` settings upon the first successful authentication. A `DuplicateUserError` is reported if a user with the username already exists.
+   * The arguments can also be specified as a single object (`{ username, credentials, extra, session }`) where `session` is a `ClientSession` (*mongoose v5+*) the user is saved in.
+   * @function importUser
+   * @param {string} username - Username value to use.
+   * @param {object} credentials - The existing passphrase hash.
+   * @param {string} credentials.hash - The hash value. *A hash serialized by the plugin or an adapter (e.g. a bcrypt hash) is stored as is.*
+   * @param {string} [credentials.salt] - The salt value (if not part of the hash).
+   * @param {string} credentials.algorithm - Either `pbkdf2`, `scrypt`, a digest supported by the crypto module (e.g. `sha1`) for salted digests or the `id` of an adapter in `options.hash.adapters` (e.g. `bcrypt`).
+   * @param {object} [credentials.params] - The parameters of the hash. Defaults to the current `options.hash` settings for `pbkdf2` (`iterations`, `keylen`, `digest` and `encoding`) and `scrypt` (`cost`, `blockSize`, `parallelization`, `keylen` and `encoding`). Salted digests use `encoding` (defaults to `hex`) and `saltFirst` (defaults to `false`, hashing the passphrase followed by the salt).
+   * @param {object} [extra] - Any extra object properties that match the schema to be included in the new user document.
+   * @param {function} [cb] - A promise is returned if no callback is provided.
+   * @return {promise}
+
+   * @example
+  ```js
+MyUserModel.importUser('tom', { hash: '5baa61e4...', salt: 'a1b2', algorithm: 'sha1' }, { email: tom@jerry.com }, function(err, user) {...});
+MyUserModel.importUser('tom', { hash: '$2b$10$...', algorithm: 'bcrypt' }).then(function(user) {...}).catch(function(err) {...}); // Uses promise
+MyUserModel.importUser({ username: 'tom', credentials: { hash: '$2b$10$...', algorithm: 'bcrypt' }, session: session }).then(function(user) {...}); // Uses an options object
+  ```
+  */
+  schema.static('importUser', function importUser(username, credentials, extra, cb) {
+    const User = this;
+    const user = new User();
+
+    // Arity check
+    if (_.isPlainObject(username)) {
+      // User.importUser({ username, credentials, extra, session }[, cb])
+      cb = credentials;
+      credentials = username.credentials;
+      extra = username.extra;
+      useSession(user, username.session);
+      username = username.username;
+    } else if (arguments.length === 3 && _.isFunction(extra)) {
+      // User.importUser(username, credentials, cb)
+      cb = extra;
+      extra = undefined;
     }
 
-    if (extra !== undefined) {
-      user.set(extra);
+    return callbackify(Promise.resolve().then(function setHash() {
+      if (username === undefined || username === null) {
+        throw createError(errors.MissingCredentialError, options.username.missingError);
+      }
+
+      if (!credentials || !credentials.hash) {
+        throw createError(errors.MissingCredentialError, options.passphrase.missingError);
+      }
+
+      user.set(usernames[0].path, username);
+
+      if (extra !== undefined) {
+        user.set(extra);
+      }
+
+      user.set(options.passphrase.path, importHash(credentials));
+      // Only used for bare digests (see `normalizeHash`)
+      user.set(options.salt.path, credentials.salt || crypto.randomBytes(options.salt.len).toString(options.hash.encoding));
+      importing.add(user);
+
+      return user.save();
+    }).catch(function duplicateError(err) {
+      if (isDuplicateUsername(err)) {
+        throw createError(errors.DuplicateUserError, options.username.duplicateError);
+      }
+
+      throw err;
+    }), cb);
+  });
+
+  /**
+   * The `importUsers` static is a function to add users migrated from another system (see `importUser`). Users are imported one at a time and a failed user does not stop the import.
+   * @function importUsers
+   * @param {object[]} rows - Users to import, each with a `username`, `credentials` and optional `extra` (see `importUser`).
+   * @param {object} [opts]
+   * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the users are saved in. *A failed user aborts a transaction of the session.*
+   * @param {function} [cb] - A promise is returned if no callback is provided.
+   * @return {promise} resolves an object with the number of `imported` users and the `errors` of failed users (each with the `index` of the row, the `username` and the `error`).
+
+   * @example
+  ```js
+MyUserModel.importUsers([
+  { username: 'tom', credentials: { hash: '5baa61e4...', salt: 'a1b2', algorithm: 'sha1' } },
+  { username: 'jerry', credentials: { hash: '$2b$10$...', algorithm: 'bcrypt' }, extra: { email: jerry@tom.com } }
+]).then(function(result) {...}); // result.imported, result.errors
+  ```
+  */
+  schema.static('importUsers', function importUsers(rows, opts, cb) {
+    // Arity check
+    if (arguments.length === 2 && _.isFunction(opts)) {
+      // User.importUsers(rows, cb)
+      cb = opts;
+      opts = undefined;
     }
 
-    user.set(options.passphrase.path, passphrase);
+    const User = this;
+    const session = resolveSession(opts);
+    const result = { imported: 0, errors: [] };
 
-    // returns promise
-    return user.save(cb);
+    return callbackify(_.reduce(rows, function importRow(previous, row, index) {
+      return previous.then(function importNext() {
+        return User.importUser({
+          username: row.username,
+          credentials: row.credentials,
+          extra: row.extra,
+          session: session
+        });
+      }).then(function imported() {
+        result.imported++;
+      }, function importError(err) {
+        result.errors.push({ index: index, username: row.username, error: err });
+      });
+    }, Promise.resolve()).then(function importedAll() {
+      return result;
+    }), cb);
   });
 
   /**
    * The `setPassphrase` static is a convenience function to set the passphrase for a user. *Alternatively you can simply set the passphrase to a new value directly on the document object and save/update.*
+   * The arguments can also be specified as a single object (`{ username, passphrase, newPassphrase, code, extra, context, signal, session, clientKey }`) where `signal` is an `AbortSignal` for cancelling (see `authenticate`) and `session` is a `ClientSession` (*mongoose v5+*) the user is loaded and saved in (e.g. for a transaction also revoking sessions).
+   * The current passphrase is verified as by the `authenticate` static (counting towards `options.rateLimit` for the username and `clientKey` and emitting the `auth:success` or `auth:failure` event with the `context`).
+   * Users enrolled in TOTP (see `verifyTotp`) must also specify a current verification `code` (*only with the options object*) otherwise the change is rejected as a pending second factor. *The passphrase alone is not enough to replace it.*
    * @function setPassphrase
    * @param {string} username - Username value to use.
    * @param {string} passphrase - Raw passphrase value. Hashed automatically before storing using crypto module.
    * @param {string} newPassphrase - Raw new passphrase value. Hashed automatically before storing using crypto module.
    * @param {object} [extra] - Any extra object properties that match the schema to be included in the update.
-   * @param {function} [cb] - A mongoose promise is returned if no callback is provided.
+   * @param {function} [cb] - A promise is returned if no callback is provided.
    * @return {promise}
 
    * @example
@@ -229,31 +1087,64 @@ MyUserModel.setPassphrase('tom', 'my secret passphrase', 'my new secret passphra
 MyUserModel.setPassphrase('tom', 'my secret passphrase', 'my new secret passphrase', { email: tom@jerry.com }).then(function(user) {...}).then(function(err) {...}); // Uses promise
 MyUserModel.setPassphrase('tom', 'my secret passphrase', 'my new secret passphrase', function(err, user) {...});
 MyUserModel.setPassphrase('tom', 'my secret passphrase', 'my new secret passphrase').then(function(user) {...}).then(function(err) {...}); // Uses promise
+MyUserModel.setPassphrase({ username: 'tom', passphrase: 'my secret passphrase', newPassphrase: 'my new secret passphrase' }).then(function(user) {...}); // Uses an options object
   ```
   */
   schema.static('setPassphrase', function setPassphrase(username, passphrase, newPassphrase, extra, cb) {
+    const User = this;
+    let code;
+    let context;
+    let signal;
+    let session;
+    let clientKey;
+
     // Arity check
-    if (arguments.length === 4 && _.isFunction(extra)) {
+    if (_.isPlainObject(username)) {
+      // User.setPassphrase({ username, passphrase, newPassphrase, code, extra, context, signal, session, clientKey }[, cb])
+      cb = passphrase;
+      passphrase = username.passphrase;
+      newPassphrase = username.newPassphrase;
+      code = username.code;
+      extra = username.extra;
+      context = username.context;
+      signal = username.signal;
+      session = username.session;
+      clientKey = username.clientKey;
+      username = username.username;
+    } else if (arguments.length === 4 && _.isFunction(extra)) {
       // User.setPassphrase(username, passphrase, newPassphrase, cb)
       cb = extra;
       extra = undefined;
     }
 
-    return this.authenticate(username, passphrase).then(function (user) {
-      return user.setPassphrase(newPassphrase, extra, cb);
-    }).catch(function authenticationError(err) {
-      if (cb) { return cb(err); }
+    return callbackify(abortable(signal, function changePassphrase() {
+      const attempt = limitRate(User, username, clientKey, context).then(function withinLimit() {
+        // An expired passphrase can still be changed
+        return authenticateUsername(User, username, passphrase, {
+          ignoreExpiry: true,
+          code: code,
+          context: context,
+          signal: signal,
+          session: session
+        });
+      });
 
-      throw err;
-    });
+      return reportAuthentication(User, attempt, {
+        username: username,
+        context: context
+      }).then(function (user) {
+        return user.setPassphrase({ passphrase: newPassphrase, extra: extra, signal: signal, session: session });
+      });
+    }), cb);
   });
 
   /**
    * The `setPassphrase` method is a convenience function to set the passphrase for a user. *Alternatively you can simply set the passphrase to a new value directly on the document object and save/update.*
+   * The arguments can also be specified as a single object (`{ passphrase, extra, signal, session }`) where `signal` is an `AbortSignal` for cancelling (see `authenticate`) and `session` is a `ClientSession` (*mongoose v5+*) the user is saved in. *Defaults to the session the user was loaded or saved in.*
    * @function setPassphrase
    * @param {string} passphrase - Raw new passphrase value. Hashed automatically before storing using crypto module.
    * @param {object} [extra] - Any extra object properties that match the schema to be included in the update.
-   * @param {function} [cb] - A mongoose promise is returned if no callback is provided.
+   * @param {function} [cb] - A promise is returned if no callback is provided.
    * @return {promise}
 
    * @example
@@ -262,133 +1153,2318 @@ user.setPassphrase('my new secret passphrase', { email: tom@jerry.com }, functio
 user.setPassphrase('my new secret passphrase', { email: tom@jerry.com }).then(function(user) {...}).then(function(err) {...}); // Uses promise
 user.setPassphrase('my new secret passphrase', function(err, user) {...});
 user.setPassphrase('my new secret passphrase').then(function(user) {...}).then(function(err) {...}); // Uses promise
+user.setPassphrase({ passphrase: 'my new secret passphrase', signal: signal }).then(function(user) {...}); // Uses an options object
   ```
   */
   schema.method('setPassphrase', function setPassphrase(passphrase, extra, cb) {
+    const user = this;
+    let signal;
+
     // Arity check
-    if (arguments.length === 2 && _.isFunction(extra)) {
+    if (_.isPlainObject(passphrase)) {
+      // user.setPassphrase({ passphrase, extra, signal, session }[, cb])
+      cb = extra;
+      extra = passphrase.extra;
+      signal = passphrase.signal;
+      useSession(user, passphrase.session);
+      passphrase = passphrase.passphrase;
+    } else if (arguments.length === 2 && _.isFunction(extra)) {
       // user.setPassphrase(newPassphrase, cb)
       cb = extra;
       extra = undefined;
     }
 
-    this.set(options.passphrase.path, passphrase);
+    return callbackify(abortable(signal, function savePassphrase() {
+      user.set(options.passphrase.path, passphrase);
 
-    if (extra !== undefined) {
-      this.set(extra);
-    }
+      if (extra !== undefined) {
+        user.set(extra);
+      }
 
-    // returns promise
-    return this.save(cb);
+      return user.save();
+    }), cb);
   });
 
   /**
    * The `authenticate` static is a function to validate the passphrase for a user.
+   * A passphrase is hashed even when no user matches the username so that response times do not reveal existing usernames.
+   * The arguments can also be specified as a single object (`{ username, passphrase, context, signal, session }`) where `signal` is an `AbortSignal` (or an object implementing its `aborted` property and `abort` event). Aborting rejects with an `AbortError` (or the reason of the signal) and skips any remaining hashing. *Database writes already started (e.g. saving a re-hashed passphrase) may still complete.*
+   * `session` is a `ClientSession` (*mongoose v5+*) the user is loaded and updated in (e.g. failed attempts and re-hashed passphrases). *Audit trail entries are written outside the session so they are kept if a transaction is aborted.*
+   * `clientKey` identifies the client (e.g. the IP address) for `options.rateLimit`. *Defaults to the key returned by `options.rateLimit.clientKey` for the context.*
    * @function authenticate
    * @param {string} username - Username value to use.
    * @param {string} passphrase - Raw passphrase value. Hashed automatically before storing using crypto module.
-   * @param {function} [cb] - A mongoose promise is returned if no callback is provided.
+   * @param {object} [context] - Any details (e.g. the client IP) to include with the emitted events and audit trail.
+   * @param {function} [cb] - A promise is returned if no callback is provided.
    * @return {promise}
 
    * @example
   ```js
 MyUserModel.authenticate('tom', 'my secret passphrase', function(err, user) {...});
 MyUserModel.authenticate('tom', 'my secret passphrase').then(function(user) {...}).then(function(err) {...}); // Uses promise
+MyUserModel.authenticate('tom', 'my secret passphrase', { ip: req.ip }, function(err, user) {...});
+MyUserModel.authenticate({ username: 'tom', passphrase: 'my secret passphrase', context: { ip: req.ip }, signal: controller.signal }).then(function(user) {...}); // Uses an options object
+MyUserModel.authenticate({ username: 'tom', passphrase: 'my secret passphrase', clientKey: req.ip }).catch(function(err) {
+  if (err.code === 'RATE_LIMITED') { res.set('Retry-After', err.retryAfter); }
+});
   ```
   */
-  schema.static('authenticate', function authenticate(username, passphrase, cb) {
-    if (username === undefined || username === null) {
-      let err = new options.Error(options.username.missingError);
+  schema.static('authenticate', function authenticate(username, passphrase, context, cb) {
+    const User = this;
+    let signal;
+    let session;
+    let clientKey;
 
-      return cb ? cb(err) : Promise.reject(err);
+    // Arity check
+    if (_.isPlainObject(username)) {
+      // User.authenticate({ username, passphrase, context, signal, session, clientKey }[, cb])
+      cb = passphrase;
+      passphrase = username.passphrase;
+      context = username.context;
+      signal = username.signal;
+      session = username.session;
+      clientKey = username.clientKey;
+      username = username.username;
+    } else if (arguments.length === 3 && _.isFunction(context)) {
+      // User.authenticate(username, passphrase, cb)
+      cb = context;
+      context = undefined;
     }
 
-    const User = this;
-    const query = User.findOne();
+    return callbackify(abortable(signal, function attemptAuthentication() {
+      const attempt = limitRate(User, username, clientKey, context).then(function withinLimit() {
+        return authenticateUsername(User, username, passphrase, {
+          context: context,
+          signal: signal,
+          session: session
+        });
+      });
 
-    query.where(options.username.path, username);
-    query.select([options.passphrase.path, options.salt.path].join(' '));
+      return reportAuthentication(User, attempt, {
+        username: username,
+        context: context
+      });
+    }), cb);
+  });
 
-    if (options.select) {
-      query.select(options.select);
-    }
+  /**
+   * The `authenticate` method is a function to validate the passphrase for a user.
+   * The passphrase is verified against the hash algorithm and parameters stored with the record. If those differ from the current `options.hash.algorithm` or are weaker than the current `options.hash` settings (or the record predates stored parameters) the passphrase is re-hashed and the user saved before resolving.
+   * The arguments can also be specified as a single object (`{ passphrase, context, signal, session }`) where `signal` is an `AbortSignal` for cancelling and `session` is a `ClientSession` (see the `authenticate` static). *The session defaults to the session the user was loaded or saved in.*
+   * @function authenticate
+   * @param {string} passphrase - Raw passphrase value. Hashed automatically before storing using crypto module.
+   * @param {object} [context] - Any details (e.g. the client IP) to include with the emitted events and audit trail.
+   * @param {function} [cb] - A promise is returned if no callback is provided.
+   * @return {promise}
+
+   * @example
+  ```js
+user.authenticate('my secret passphrase', function(err, user) {...});
+user.authenticate('my secret passphrase').then(function(user) {...}).then(function(err) {...}); // Uses promise
+user.authenticate({ passphrase: 'my secret passphrase', signal: signal }).then(function(user) {...}); // Uses an options object
+  ```
+  */
+  schema.method('authenticate', function authenticate(passphrase, context, cb) {
+    const user = this;
+    let signal;
+    let session;
+
+    // Arity check
+    if (_.isPlainObject(passphrase)) {
+      // user.authenticate({ passphrase, context, signal, session }[, cb])
+      cb = context;
+      context = passphrase.context;
+      signal = passphrase.signal;
+      session = passphrase.session;
+      passphrase = passphrase.passphrase;
+    } else if (arguments.length === 2 && _.isFunction(context)) {
+      // user.authenticate(passphrase, cb)
+      cb = context;
+      context = undefined;
+    }
+
+    return callbackify(abortable(signal, function attemptAuthentication() {
+      const attempt = authenticateUser(user, passphrase, {
+        context: context,
+        signal: signal,
+        session: session
+      });
+
+      return reportAuthentication(user.constructor, attempt, {
+        user: user,
+        username: user.get(usernames[0].path),
+        context: context
+      });
+    }), cb);
+  });
+
+  if (options.lockout.attempts) {
+    /**
+     * The `unlock` static is a convenience function to reset the failed authentication attempts and lock for a user. *Only added if `options.lockout.attempts` is set.*
+     * @function unlock
+     * @param {string} username - Username value to use.
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in.
+     * @param {function} [cb] - A mongoose promise is returned if no callback is provided.
+     * @return {promise}
+
+     * @example
+    ```js
+MyUserModel.unlock('tom', function(err, user) {...});
+MyUserModel.unlock('tom').then(function(user) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.static('unlock', function unlock(username, opts, cb) {
+      // Arity check
+      if (arguments.length === 2 && _.isFunction(opts)) {
+        // User.unlock(username, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      if (username === undefined || username === null) {
+        let err = createError(errors.MissingCredentialError, options.username.missingError);
+
+        return callbackify(Promise.reject(err), cb);
+      }
+
+      const session = resolveSession(opts);
+
+      return callbackify(findByIdentifier(inSession(this.find(), session), username).then(function unlockUser(user) {
+        if (user === null) {
+          throw createError(errors.UnknownUserError, options.username.incorrectError);
+        }
+
+        return user.unlock({ session: session });
+      }), cb);
+    });
+
+    /**
+     * The `unlock` method is a convenience function to reset the failed authentication attempts and lock for a user. *Only added if `options.lockout.attempts` is set.*
+     * @function unlock
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in. *Defaults to the session the user was loaded or saved in.*
+     * @param {function} [cb] - A mongoose promise is returned if no callback is provided.
+     * @return {promise}
+
+     * @example
+    ```js
+user.unlock(function(err, user) {...});
+user.unlock().then(function(user) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.method('unlock', function unlock(opts, cb) {
+      // Arity check
+      if (_.isFunction(opts)) {
+        // user.unlock(cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      useSession(this, resolveSession(opts));
+      this.set(options.failedAttempts.path, 0);
+      this.set(options.lockUntil.path, undefined);
+
+      return callbackify(this.save(), cb);
+    });
+  }
+
+  if (options.expiry.enabled) {
+    /**
+     * The `isPassphraseChangeRequired` method reports whether the passphrase for a user is older than `options.expiry.maxAge` or the passphrase change flag is set. *Only added if `options.expiry.enabled` is set.*
+     * @function isPassphraseChangeRequired
+     * @return {boolean}
+
+     * @example
+    ```js
+MyUserModel.authenticate('tom', 'my secret passphrase').then(function(user) {
+  if (user.isPassphraseChangeRequired()) {...}
+});
+    ```
+    */
+    schema.method('isPassphraseChangeRequired', function isPassphraseChangeRequired() {
+      return passphraseChange(this) !== undefined;
+    });
+  }
+
+  if (options.totp.enabled) {
+    /**
+     * The `enableTotp` method is a function to enrol a user for TOTP two-factor authentication. A new secret is generated and stored encrypted with the user. Enrolment is completed (and `authenticate` requires a second factor) once a code is verified with `verifyTotp`. *Only added if `options.totp.enabled` is set.*
+     * @function enableTotp
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in. *Defaults to the session the user was loaded or saved in.*
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise} resolves with an object containing the base32 encoded `secret` and the `otpauth://` enrolment `uri` (e.g. for a QR code).
+
+     * @example
+    ```js
+user.enableTotp(function(err, enrolment) {...});
+user.enableTotp().then(function(enrolment) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.method('enableTotp', function enableTotp(opts, cb) {
+      // Arity check
+      if (_.isFunction(opts)) {
+        // user.enableTotp(cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      const user = useSession(this, resolveSession(opts));
+      const secret = crypto.randomBytes(options.totp.secretLen);
+
+      user.set(options.totpSecret.path, encryptSecret(secret, options.totp.key));
+      user.set(options.totpEnabled.path, false);
+      user.set(options.totpCounter.path, undefined);
+
+      return callbackify(user.save().then(function enrolled(user) {
+        const enrolment = {
+          secret: base32Encode(secret),
+          uri: totpUri(user, secret)
+        };
+
+        return enrolment;
+      }), cb);
+    });
+
+    /**
+     * The `totpUri` method is a function to generate the `otpauth://` enrolment URI for a user's TOTP secret. *Only added if `options.totp.enabled` is set.*
+     * @function totpUri
+     * @return {string|undefined} `undefined` if the user has no TOTP secret.
+
+     * @example
+    ```js
+const uri = user.totpUri();
+    ```
+    */
+    schema.method('totpUri', function getTotpUri() {
+      const encrypted = this.get(options.totpSecret.path);
+
+      if (!encrypted) { return; }
+
+      return totpUri(this, decryptSecret(encrypted, options.totp.key));
+    });
+
+    /**
+     * The `verifyTotp` method is a function to validate a TOTP code for a user. The first verified code completes enrolment. Incorrect (or used) codes are counted as failed attempts for `options.lockout` and a locked user is rejected with an `AccountLockedError`. *Only added if `options.totp.enabled` is set.*
+     * @function verifyTotp
+     * @param {string} code - Code value to use.
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in. *Defaults to the session the user was loaded or saved in.*
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise}
+
+     * @example
+    ```js
+MyUserModel.authenticate('tom', 'my secret passphrase').catch(function(err) {
+  if (err.user) { return err.user.verifyTotp('123456'); }
+  throw err;
+}).then(function(user) {...});
+user.verifyTotp('123456', function(err, user) {...});
+    ```
+    */
+    schema.method('verifyTotp', function verifyTotp(code, opts, cb) {
+      // Arity check
+      if (arguments.length === 2 && _.isFunction(opts)) {
+        // user.verifyTotp(code, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      const user = useSession(this, resolveSession(opts));
+
+      if (code === undefined || code === null) {
+        let err = createError(errors.MissingCredentialError, options.totp.missingError);
+
+        return callbackify(Promise.reject(err), cb);
+      }
+
+      return callbackify(loadTotp(user).then(function checkCode(stored) {
+        const encrypted = stored.get(options.totpSecret.path);
+
+        if (!encrypted) {
+          throw createError(errors.AuthError, options.totp.unavailableError, 'TOTP_UNAVAILABLE');
+        }
+
+        if (isLocked(stored)) {
+          throw createError(errors.AccountLockedError, options.lockout.lockedError);
+        }
+
+        const counter = findTotpCounter(decryptSecret(encrypted, options.totp.key), String(code), options.totp);
+
+        if (counter === undefined) {
+          return registerFailure(user, {}).then(function incorrectCode() {
+            throw createError(errors.AuthError, options.totp.incorrectError, 'INCORRECT_VERIFICATION_CODE');
+          });
+        }
+
+        if (!options.totp.replay) { return resetFailures(stored); }
+
+        // Record atomically so a code (or an earlier code) can only be used once
+        return inSession(user.constructor.findOneAndUpdate({
+          _id: user._id,
+          $or: [
+            { [options.totpCounter.path]: null },
+            { [options.totpCounter.path]: { $lt: counter } }
+          ]
+        }, {
+          $set: { [options.totpCounter.path]: counter }
+        }), documentSession(user)).exec().then(function checkReplay(doc) {
+          if (doc === null) {
+            return registerFailure(user, {}).then(function usedCode() {
+              throw createError(errors.AuthError, options.totp.incorrectError, 'INCORRECT_VERIFICATION_CODE');
+            });
+          }
+
+          return resetFailures(stored);
+        });
+      }).then(function completeEnrolment() {
+        if (user.get(options.totpEnabled.path) !== true) {
+          user.set(options.totpEnabled.path, true);
+
+          return user.save();
+        }
+
+        return user;
+      }), cb);
+    });
+  }
+
+  if (options.recoveryCodes.enabled) {
+    /**
+     * The `generateRecoveryCodes` method is a function to generate new single use recovery codes for a user. Only hashes of the codes (salted and hashed as passphrases are with pbkdf2) are stored with the user. Generating codes replaces any previous codes. *Only added if `options.recoveryCodes.enabled` is set.*
+     * @function generateRecoveryCodes
+     * @param {number} [n=options.recoveryCodes.count] - Number of codes to generate.
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in. *Defaults to the session the user was loaded or saved in.*
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise} resolves with an array of the raw recovery codes. *The raw codes cannot be retrieved again.*
+
+     * @example
+    ```js
+user.generateRecoveryCodes(function(err, codes) {...});
+user.generateRecoveryCodes(5).then(function(codes) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.method('generateRecoveryCodes', function generateRecoveryCodes(n, opts, cb) {
+      // Arity check
+      if (_.isFunction(n)) {
+        // user.generateRecoveryCodes(cb)
+        cb = n;
+        n = undefined;
+      } else if (_.isPlainObject(n)) {
+        // user.generateRecoveryCodes(opts[, cb])
+        cb = opts;
+        opts = n;
+        n = undefined;
+      } else if (_.isFunction(opts)) {
+        // user.generateRecoveryCodes(n, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      const user = useSession(this, resolveSession(opts));
+      const codes = _.times(n === undefined ? options.recoveryCodes.count : n, function createCode() {
+        const code = base32Encode(crypto.randomBytes(Math.ceil(options.recoveryCodes.len * 5 / 8)))
+          .slice(0, options.recoveryCodes.len)
+          .toLowerCase();
+
+        // Separate into halves for readability
+        return [code.slice(0, code.length / 2), code.slice(code.length / 2)].join('-');
+      });
+
+      return callbackify(Promise.all(codes.map(function hashCode(code) {
+        const salt = crypto.randomBytes(options.salt.len).toString(options.hash.encoding);
+
+        return pbkdf2(normalizeRecoveryCode(code), salt, options.hash).then(function format(hash) {
+          return formatPbkdf2(salt, hash, options.hash);
+        });
+      })).then(function storeCodes(hashes) {
+        user.set(options.recoveryCodes.path, hashes);
+
+        return user.save();
+      }).then(function generated() {
+        return codes;
+      }), cb);
+    });
+
+    /**
+     * The `useRecoveryCode` method is a function to validate and consume a recovery code for a user. A code can only be used once, even for concurrent requests. Incorrect (or used) codes are counted as failed attempts for `options.lockout` and a locked user is rejected with an `AccountLockedError`. *Only added if `options.recoveryCodes.enabled` is set.*
+     * @function useRecoveryCode
+     * @param {string} code - Raw recovery code value. *Case and separators are ignored.*
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in. *Defaults to the session the user was loaded or saved in.*
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise}
+
+     * @example
+    ```js
+user.useRecoveryCode('abcde-fghij', function(err, user) {...});
+user.useRecoveryCode('abcde-fghij').then(function(user) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.method('useRecoveryCode', function useRecoveryCode(code, opts, cb) {
+      // Arity check
+      if (arguments.length === 2 && _.isFunction(opts)) {
+        // user.useRecoveryCode(code, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      if (code === undefined || code === null) {
+        let err = createError(errors.MissingCredentialError, options.recoveryCodes.missingError);
+
+        return callbackify(Promise.reject(err), cb);
+      }
+
+      const user = useSession(this, resolveSession(opts));
+      const session = resolveSession(opts, user);
+      let stored;
+      let hashes;
+
+      return callbackify(loadRecoveryCodes(user, session).then(function verifyCodes(doc) {
+        stored = doc;
+
+        if (isLocked(stored)) {
+          throw createError(errors.AccountLockedError, options.lockout.lockedError);
+        }
+
+        hashes = _.toArray(stored.get(options.recoveryCodes.path));
+
+        return Promise.all(hashes.map(function verifyCode(hash) {
+          return verifyHash(normalizeRecoveryCode(code), hash);
+        }));
+      }).then(function consumeCode(matches) {
+        const hash = hashes[matches.indexOf(true)];
+
+        if (hash === undefined) {
+          return registerFailure(user, {}).then(function incorrectCode() {
+            throw createError(errors.AuthError, options.recoveryCodes.incorrectError, 'INCORRECT_RECOVERY_CODE');
+          });
+        }
+
+        // Remove atomically so the code can only be used once
+        return inSession(user.constructor.findOneAndUpdate({
+          _id: user._id,
+          [options.recoveryCodes.path]: hash
+        }, {
+          $pull: { [options.recoveryCodes.path]: hash }
+        }), session).exec().then(function consumed(doc) {
+          if (doc === null) {
+            return registerFailure(user, {}).then(function usedCode() {
+              throw createError(errors.AuthError, options.recoveryCodes.incorrectError, 'INCORRECT_RECOVERY_CODE');
+            });
+          }
+
+          return resetFailures(stored);
+        });
+      }).then(function verified() {
+        return user;
+      }), cb);
+    });
+  }
+
+  if (options.resetToken.ttl) {
+    /**
+     * The `createResetToken` static is a function to create a single use passphrase reset token for a user. Only a hash of the token is stored with the user and it expires after `options.resetToken.ttl`. Creating a new token replaces any previous token. *Only added if `options.resetToken.ttl` is set.*
+     * @function createResetToken
+     * @param {string} username - Username value to use.
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in.
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise} resolves with the raw reset token. *Resolves with `undefined` for an unknown username if `options.credentials.generic` is enabled (an `UnknownUserError` is reported otherwise).*
+
+     * @example
+    ```js
+MyUserModel.createResetToken('tom', function(err, token) {...});
+MyUserModel.createResetToken('tom').then(function(token) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.static('createResetToken', function createResetToken(username, opts, cb) {
+      // Arity check
+      if (arguments.length === 2 && _.isFunction(opts)) {
+        // User.createResetToken(username, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      if (username === undefined || username === null) {
+        let err = createError(errors.MissingCredentialError, options.username.missingError);
+
+        return callbackify(Promise.reject(err), cb);
+      }
+
+      const User = this;
+      const token = crypto.randomBytes(options.resetToken.len).toString('hex');
+      const session = resolveSession(opts);
+
+      return callbackify(findByIdentifier(inSession(User.find().select('_id'), session), username).then(function storeToken(user) {
+        if (user === null) { return null; }
+
+        return inSession(User.findOneAndUpdate({ _id: user._id }, {
+          $set: {
+            [options.resetToken.path]: hashToken(token),
+            [options.resetTokenExpires.path]: new Date(Date.now() + options.resetToken.ttl)
+          }
+        }), session).exec();
+      }).then(function createdToken(user) {
+        if (user === null && !options.credentials.generic) {
+          throw createError(errors.UnknownUserError, options.username.incorrectError);
+        }
+
+        // An unknown username resolves without a token with generic credentials errors
+        const result = user === null ? undefined : token;
+
+        return result;
+      }), cb);
+    });
+
+    /**
+     * The `resetPassphrase` static is a function to set the passphrase for a user with a reset token created by `createResetToken`. A new passphrase violating the policy (or reusing a previous passphrase with `options.history.len`) is rejected before the token is invalidated so the token can be used again. Otherwise the token is invalidated before the passphrase is set and cannot be reused, even if saving the user fails (*unless a transaction of the session is aborted*). *Only added if `options.resetToken.ttl` is set.*
+     * The arguments can also be specified as a single object (`{ token, newPassphrase, extra, session }`) where `session` is a `ClientSession` (*mongoose v5+*) the user is updated in.
+     * @function resetPassphrase
+     * @param {string} token - Raw reset token value.
+     * @param {string} newPassphrase - Raw new passphrase value. Hashed automatically before storing using crypto module.
+     * @param {object} [extra] - Any extra object properties that match the schema to be included in the update.
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise}
+
+     * @example
+    ```js
+MyUserModel.resetPassphrase(token, 'my new secret passphrase', function(err, user) {...});
+MyUserModel.resetPassphrase(token, 'my new secret passphrase').then(function(user) {...}).then(function(err) {...}); // Uses promise
+MyUserModel.resetPassphrase({ token: token, newPassphrase: 'my new secret passphrase', session: session }).then(function(user) {...}); // Uses an options object
+    ```
+    */
+    schema.static('resetPassphrase', function resetPassphrase(token, newPassphrase, extra, cb) {
+      let session;
+
+      // Arity check
+      if (_.isPlainObject(token)) {
+        // User.resetPassphrase({ token, newPassphrase, extra, session }[, cb])
+        cb = newPassphrase;
+        newPassphrase = token.newPassphrase;
+        extra = token.extra;
+        session = token.session;
+        token = token.token;
+      } else if (arguments.length === 3 && _.isFunction(extra)) {
+        // User.resetPassphrase(token, newPassphrase, cb)
+        cb = extra;
+        extra = undefined;
+      }
+
+      let err;
+
+      if (token === undefined || token === null) {
+        err = createError(errors.MissingCredentialError, options.resetToken.missingError);
+      } else if (newPassphrase === undefined || newPassphrase === null) {
+        err = createError(errors.MissingCredentialError, options.passphrase.missingError);
+      }
+
+      if (err) {
+        return callbackify(Promise.reject(err), cb);
+      }
+
+      const User = this;
+      const conditions = {
+        [options.resetToken.path]: hashToken(token),
+        [options.resetTokenExpires.path]: { $gt: new Date() }
+      };
+
+      return callbackify(inSession(User.findOne(conditions), session).exec().then(function checkPassphrase(user) {
+        if (user === null) {
+          throw createError(errors.AuthError, options.resetToken.incorrectError, 'INVALID_RESET_TOKEN');
+        }
+
+        if (extra !== undefined) {
+          user.set(extra);
+        }
+
+        // Checked before invalidating the token so a rejected passphrase doesn't use it up
+        return checkNewPassphrase(user, newPassphrase).then(function enforcePolicy(result) {
+          if (result.violation !== undefined) {
+            // Reported as a validation error on the passphrase path (as when saving)
+            throw user.invalidate(options.passphrase.path, result.violation.message, undefined, result.violation.kind);
+          }
+
+          // Invalidate atomically so the token can only be used once
+          return inSession(User.findOneAndUpdate(conditions, {
+            $unset: {
+              [options.resetToken.path]: 1,
+              [options.resetTokenExpires.path]: 1
+            }
+          }, {
+            new: true
+          }), session).exec();
+        });
+      }).then(function setPassphrase(user) {
+        if (user === null) {
+          throw createError(errors.AuthError, options.resetToken.incorrectError, 'INVALID_RESET_TOKEN');
+        }
+
+        return user.setPassphrase({ passphrase: newPassphrase, extra: extra, session: session });
+      }), cb);
+    });
+  }
+
+  if (tokens) {
+    /**
+     * The `issueToken` method is a function to issue a signed JSON Web Token for a user (e.g. after authenticating). *Only added if `options.token.secret` is set.*
+     * @function issueToken
+     * @param {object} [claims] - Any additional claims to include. *The registered `sub` (user id), `iat`, `exp`, `iss` and `aud` claims and the `ver` (token version) claim are set by the plugin.*
+     * @param {object} [opts] - options overriding `options.token` for this token (`expiresIn`, `issuer` and `audience`).
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the token version is loaded in. *Defaults to the session the user was loaded or saved in.*
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise} resolves with the token.
+
+     * @example
+    ```js
+user.issueToken({ role: 'admin' }, { expiresIn: 300 }, function(err, token) {...});
+user.issueToken().then(function(token) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.method('issueToken', function issueToken(claims, opts, cb) {
+      // Arity check
+      if (_.isFunction(claims)) {
+        // user.issueToken(cb)
+        cb = claims;
+        claims = undefined;
+      } else if (_.isFunction(opts)) {
+        // user.issueToken(claims, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      const user = this;
+      const settings = _.assign({}, options.token, _.pick(opts, ['expiresIn', 'issuer', 'audience']));
+
+      return callbackify(loadTokenVersion(user, resolveSession(opts, user)).then(function signToken(version) {
+        const now = Math.floor(Date.now() / 1000);
+
+        return signJwt(_.omitBy(_.assign({}, claims, {
+          sub: String(user._id),
+          ver: version,
+          iat: now,
+          exp: settings.expiresIn ? now + settings.expiresIn : undefined,
+          iss: settings.issuer,
+          aud: settings.audience
+        }), _.isUndefined), options.token.secret, options.token.algorithm);
+      }), cb);
+    });
+
+    /**
+     * The `verifyToken` static is a function to verify a token issued by `issueToken`. The signature, expiry, issuer, audience and token version (revoked by setting a new passphrase) are checked. *Only added if `options.token.secret` is set.*
+     * @function verifyToken
+     * @param {string} token - Token value.
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in.
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise} resolves with an object containing the `user` and the token `claims`.
+
+     * @example
+    ```js
+MyUserModel.verifyToken(token, function(err, result) {...}); // result.user, result.claims
+MyUserModel.verifyToken(token).then(function(result) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.static('verifyToken', function verifyToken(token, opts, cb) {
+      // Arity check
+      if (arguments.length === 2 && _.isFunction(opts)) {
+        // User.verifyToken(token, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      if (token === undefined || token === null || token === '') {
+        let err = createError(errors.MissingCredentialError, options.token.missingError);
+
+        return callbackify(Promise.reject(err), cb);
+      }
+
+      const User = this;
+
+      return callbackify(Promise.resolve().then(function checkToken() {
+        const claims = decodeJwt(token, options.token.secret, options.token.algorithm);
+        const now = Math.floor(Date.now() / 1000);
+
+        if (claims === undefined || !_.isString(claims.sub) ||
+          (options.token.issuer !== undefined && claims.iss !== options.token.issuer) ||
+          (options.token.audience !== undefined && !_.includes(_.castArray(claims.aud), options.token.audience))) {
+          throw createError(errors.AuthError, options.token.incorrectError, 'INVALID_TOKEN');
+        }
+
+        if (claims.exp !== undefined && claims.exp + options.token.clockTolerance <= now) {
+          throw createError(errors.AuthError, options.token.expiredError, 'TOKEN_EXPIRED');
+        }
+
+        return inSession(User.findById(claims.sub), resolveSession(opts)).exec().catch(function castError(err) {
+          if (err.name === 'CastError') { return null; }
+
+          throw err;
+        }).then(function checkVersion(user) {
+          if (user === null || (user.get(options.tokenVersion.path) || 0) !== claims.ver) {
+            throw createError(errors.AuthError, options.token.revokedError, 'TOKEN_REVOKED');
+          }
+
+          return { user: user, claims: claims };
+        });
+      }), cb);
+    });
+  }
+
+  if (options.refreshTokens.enabled) {
+    /**
+     * The `createRefreshToken` method is a function to create a refresh token starting a new token family for a user (e.g. when signing in on a device). Only a hash of the token is stored with the user. *Only added if `options.refreshTokens.enabled` is set.*
+     * @function createRefreshToken
+     * @param {*} [deviceInfo] - Any details identifying the device (e.g. the user agent) stored with the token family.
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in. *Defaults to the session the user was loaded or saved in.*
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise} resolves with the raw refresh token.
+
+     * @example
+    ```js
+user.createRefreshToken({ userAgent: req.get('user-agent') }, function(err, token) {...});
+user.createRefreshToken().then(function(token) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.method('createRefreshToken', function createRefreshToken(deviceInfo, opts, cb) {
+      // Arity check
+      if (arguments.length === 1 && _.isFunction(deviceInfo)) {
+        // user.createRefreshToken(cb)
+        cb = deviceInfo;
+        deviceInfo = undefined;
+      } else if (arguments.length === 2 && _.isFunction(opts)) {
+        // user.createRefreshToken(deviceInfo, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      const User = this.constructor;
+      const userId = this._id;
+      const session = resolveSession(opts, this);
+      const now = new Date();
+      const family = crypto.randomBytes(16).toString('hex');
+      const token = generateRefreshToken(family);
+
+      // Expired families are removed first (an array can't be pushed and pulled in one update)
+      return callbackify(inSession(User.findOneAndUpdate({ _id: userId }, {
+        $pull: { [options.refreshTokens.path]: { expires: { $lte: now } } }
+      }), session).exec().then(function addFamily() {
+        return inSession(User.findOneAndUpdate({ _id: userId }, {
+          $push: {
+            [options.refreshTokens.path]: _.omitBy({
+              family: family,
+              hash: hashToken(token),
+              rotated: [],
+              device: deviceInfo,
+              createdAt: now,
+              lastUsedAt: now,
+              expires: new Date(now.getTime() + options.refreshTokens.ttl)
+            }, _.isUndefined)
+          }
+        }), session).exec();
+      }).then(function created(user) {
+        if (user === null) {
+          throw createError(errors.UnknownUserError, options.username.incorrectError);
+        }
+
+        return token;
+      }), cb);
+    });
+
+    /**
+     * The `rotateRefreshToken` static is a function to exchange a refresh token for a new one of the same family. If a previously rotated token is presented again (e.g. a stolen token) the whole family is revoked. *Only added if `options.refreshTokens.enabled` is set.*
+     * @function rotateRefreshToken
+     * @param {string} token - Raw refresh token value.
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in.
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise} resolves with an object containing the `user` and the new `token`.
+
+     * @example
+    ```js
+MyUserModel.rotateRefreshToken(token, function(err, result) {...}); // result.user, result.token
+MyUserModel.rotateRefreshToken(token).then(function(result) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.static('rotateRefreshToken', function rotateRefreshToken(token, opts, cb) {
+      // Arity check
+      if (arguments.length === 2 && _.isFunction(opts)) {
+        // User.rotateRefreshToken(token, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      if (token === undefined || token === null || token === '') {
+        let err = createError(errors.MissingCredentialError, options.refreshTokens.missingError);
+
+        return callbackify(Promise.reject(err), cb);
+      }
+
+      const User = this;
+      const path = options.refreshTokens.path;
+      const family = String(token).split('.')[0];
+      const hash = hashToken(token);
+      const newToken = generateRefreshToken(family);
+      const now = new Date();
+      const session = resolveSession(opts);
+
+      // Rotate atomically so a token can only be exchanged once
+      return callbackify(inSession(User.findOneAndUpdate({
+        [path]: { $elemMatch: { family: family, hash: hash, expires: { $gt: now } } }
+      }, {
+        $set: {
+          [path + '.$.hash']: hashToken(newToken),
+          [path + '.$.lastUsedAt']: now,
+          [path + '.$.expires']: new Date(now.getTime() + options.refreshTokens.ttl)
+        },
+        $push: {
+          [path + '.$.rotated']: { $each: [hash], $slice: -options.refreshTokens.history }
+        }
+      }, {
+        new: true
+      }), session).exec().then(function checkRotation(user) {
+        if (user !== null) {
+          return { user: user, token: newToken };
+        }
+
+        return inSession(User.findOneAndUpdate({
+          [path]: { $elemMatch: { family: family, rotated: hash } }
+        }, {
+          $pull: { [path]: { family: family } }
+        }), session).exec().then(function checkReuse(user) {
+          if (user === null) {
+            throw createError(errors.AuthError, options.refreshTokens.incorrectError, 'INVALID_REFRESH_TOKEN');
+          }
+
+          emitEvent(User, 'auth:refreshTokenReused', {
+            user: user,
+            username: user.get(usernames[0].path),
+            family: family
+          });
+
+          throw createError(errors.AuthError, options.refreshTokens.reusedError, 'REFRESH_TOKEN_REUSED');
+        });
+      }), cb);
+    });
+
+    /**
+     * The `listRefreshTokens` method is a function to list the active refresh token families (e.g. signed in devices) of a user. *Only added if `options.refreshTokens.enabled` is set.*
+     * @function listRefreshTokens
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in. *Defaults to the session the user was loaded or saved in.*
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise} resolves with an array of objects containing the `family`, `device`, `createdAt`, `lastUsedAt` and `expires` of each family.
+
+     * @example
+    ```js
+user.listRefreshTokens(function(err, families) {...});
+user.listRefreshTokens().then(function(families) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.method('listRefreshTokens', function listRefreshTokens(opts, cb) {
+      // Arity check
+      if (_.isFunction(opts)) {
+        // user.listRefreshTokens(cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      const query = inSession(this.constructor.findById(this._id), resolveSession(opts, this));
+
+      query.select(options.refreshTokens.path);
+
+      return callbackify(query.exec().then(function listFamilies(user) {
+        const now = Date.now();
+        const families = _.toArray(user === null ? [] : user.get(options.refreshTokens.path));
+
+        return _.map(_.filter(families, function isActive(family) {
+          return new Date(family.expires).getTime() > now;
+        }), function describeFamily(family) {
+          return _.pick(family, ['family', 'device', 'createdAt', 'lastUsedAt', 'expires']);
+        });
+      }), cb);
+    });
+
+    /**
+     * The `revokeRefreshTokens` method is a function to revoke a refresh token family (e.g. signing out a device) or all refresh tokens of a user. *Only added if `options.refreshTokens.enabled` is set.*
+     * @function revokeRefreshTokens
+     * @param {string} [family] - The family to revoke (as reported by `listRefreshTokens`). All families are revoked if not specified.
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the queries run in. *Defaults to the session the user was loaded or saved in.*
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise}
+
+     * @example
+    ```js
+user.revokeRefreshTokens(family, function(err) {...});
+user.revokeRefreshTokens().then(function() {...}).then(function(err) {...}); // Revokes all and uses promise
+    ```
+    */
+    schema.method('revokeRefreshTokens', function revokeRefreshTokens(family, opts, cb) {
+      // Arity check
+      if (_.isFunction(family)) {
+        // user.revokeRefreshTokens(cb)
+        cb = family;
+        family = undefined;
+      } else if (_.isPlainObject(family)) {
+        // user.revokeRefreshTokens(opts[, cb])
+        cb = opts;
+        opts = family;
+        family = undefined;
+      } else if (_.isFunction(opts)) {
+        // user.revokeRefreshTokens(family, cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      const update = family === undefined ?
+        { $set: { [options.refreshTokens.path]: [] } } :
+        { $pull: { [options.refreshTokens.path]: { family: String(family) } } };
+
+      const query = this.constructor.findOneAndUpdate({ _id: this._id }, update);
+
+      return callbackify(inSession(query, resolveSession(opts, this)).exec().then(_.noop), cb);
+    });
+  }
+
+  if (peppered) {
+    /**
+     * The `countPepperVersions` static is a function to report how many accounts use each pepper version (e.g. to determine when a previous pepper key can be retired). *Only added if `options.pepper.keys` are set.*
+     * @function countPepperVersions
+     * @param {object} [opts]
+     * @param {object} [opts.session] - a `ClientSession` (*mongoose v5+*) the aggregation runs in.
+     * @param {function} [cb] - A promise is returned if no callback is provided.
+     * @return {promise} resolves with an object of account counts by pepper version. Accounts hashed without a pepper are counted as `none`.
+
+     * @example
+    ```js
+MyUserModel.countPepperVersions(function(err, counts) {...}); // e.g. { v1: 12, v2: 1034, none: 3 }
+MyUserModel.countPepperVersions().then(function(counts) {...}).then(function(err) {...}); // Uses promise
+    ```
+    */
+    schema.static('countPepperVersions', function countPepperVersions(opts, cb) {
+      // Arity check
+      if (_.isFunction(opts)) {
+        // User.countPepperVersions(cb)
+        cb = opts;
+        opts = undefined;
+      }
+
+      const aggregate = this.aggregate([
+        { $match: { [options.passphrase.path]: { $exists: true } } },
+        { $group: { _id: '$' + options.pepperVersion.path, count: { $sum: 1 } } }
+      ]);
+
+      return callbackify(inSession(aggregate, resolveSession(opts)).exec().then(function countVersions(results) {
+        const counts = _.reduce(results, function addCount(counts, result) {
+          const version = _.isNil(result._id) ? 'none' : result._id;
+
+          counts[version] = (counts[version] || 0) + result.count;
+
+          return counts;
+        }, {});
+
+        return counts;
+      }), cb);
+    });
+  }
+
+  function authenticateUsername(User, username, passphrase, settings) {
+    if (username === undefined || username === null) {
+      return Promise.reject(failure(createError(errors.MissingCredentialError, options.username.missingError), 'missingUsername'));
+    }
+
+    if (options.credentials.generic && (passphrase === undefined || passphrase === null)) {
+      // Report a missing passphrase regardless of whether the username exists
+      return Promise.reject(failure(createError(errors.MissingCredentialError, options.passphrase.missingError), 'missingPassphrase'));
+    }
+
+    const query = inSession(User.find(), settings.session);
+    const paths = [options.passphrase.path, options.salt.path];
+
+    if (options.lockout.attempts) {
+      paths.push(options.failedAttempts.path, options.lockUntil.path);
+    }
+
+    if (options.expiry.enabled) {
+      paths.push(options.passphraseChangedAt.path, options.mustChangePassphrase.path);
+    }
+
+    if (options.totp.enabled) {
+      paths.push(options.totpEnabled.path);
+    }
+
+    if (peppered) {
+      paths.push(options.pepperVersion.path);
+    }
+
+    if (tokens) {
+      paths.push(options.tokenVersion.path);
+    }
+
+    if (options.select) {
+      query.select(options.select);
+    }
+
+    selectPaths(query, paths);
+
+    if (options.populate) {
+      query.populate(options.populate);
+    }
+
+    return findByIdentifier(query, username).then(function verifyUser(user) {
+      throwIfAborted(settings.signal);
+
+      if (user === null) {
+        // Hash anyway so an unknown username takes as long as an incorrect passphrase
+        return dummyHash(passphrase).then(function unknownUsername() {
+          throw failure(credentialsError(errors.UnknownUserError, options.username.incorrectError), 'unknownUsername');
+        });
+      }
+
+      return authenticateUser(user, passphrase, settings);
+    });
+  }
+
+  function authenticateUser(user, passphrase, settings) {
+    settings = settings || {};
+
+    // Any queries and saves use the session of the user
+    useSession(user, settings.session);
+
+    if (passphrase === undefined || passphrase === null) {
+      return Promise.reject(failure(createError(errors.MissingCredentialError, options.passphrase.missingError), 'missingPassphrase', user));
+    }
+
+    if (isLocked(user)) {
+      return Promise.reject(failure(createError(errors.AccountLockedError, options.lockout.lockedError), 'locked', user));
+    }
+
+    let stored;
+    let algorithm;
+
+    return loadHash(user).then(function verifyPassphrase(hash) {
+      const version = peppered ? user.get(options.pepperVersion.path) : undefined;
+
+      throwIfAborted(settings.signal);
+
+      stored = hash.passphrase;
+      algorithm = identifyAlgorithm(stored);
+
+      return verifyHash(pepper(passphrase, version), normalizeHash(stored, hash.salt));
+    }).then(function checkHash(isValid) {
+      if (!isValid) {
+        return registerFailure(user, settings).then(function incorrectPassphrase() {
+          throw failure(credentialsError(errors.IncorrectPassphraseError, options.passphrase.incorrectError), 'incorrectPassphrase', user);
+        });
+      }
+
+      return resetFailures(user);
+    }).then(function upgradeHash() {
+      const pepperOutdated = peppered && user.get(options.pepperVersion.path) !== options.pepper.current;
+
+      // Algorithms of imported users that can only verify are always upgraded
+      const verifyOnly = algorithm !== undefined && !_.isFunction(algorithm.hash);
+
+      if ((options.hash.rehash && needsRehash(algorithm, stored)) || pepperOutdated || verifyOnly) {
+        // Setting the passphrase triggers `encryptPassphrase` with the current options
+        user.set(options.passphrase.path, passphrase);
+        rehashing.add(user);
+
+        return user.save();
+      }
+
+      return user;
+    }).then(function checkExpiry(user) {
+      const change = passphraseChange(user);
+
+      if (options.expiry.reject && !settings.ignoreExpiry && change !== undefined) {
+        throw failure(createError(errors.AuthError, change.message, change.code), change.reason, user);
+      }
+
+      if (options.totp.enabled && user.get(options.totpEnabled.path) === true && !_.isNil(settings.code)) {
+        return user.verifyTotp(settings.code, { session: settings.session }).catch(function incorrectCode(err) {
+          throw failure(err, err instanceof errors.AccountLockedError ? 'locked' : 'incorrectVerificationCode', user);
+        });
+      }
+
+      if (options.totp.enabled && user.get(options.totpEnabled.path) === true) {
+        let err = failure(createError(errors.AuthError, options.totp.pendingError, 'SECOND_FACTOR_REQUIRED'), 'secondFactorRequired', user);
+
+        err.user = user;
+
+        throw err;
+      }
+
+      return user;
+    });
+  }
+
+  // Returns the reason a passphrase change is required (if any) as `{ reason, code, message }`
+  function passphraseChange(user) {
+    if (!options.expiry.enabled) { return; }
+
+    if (user.get(options.mustChangePassphrase.path) === true) {
+      return {
+        reason: 'passphraseChangeRequired',
+        code: 'PASSPHRASE_CHANGE_REQUIRED',
+        message: options.expiry.changeRequiredError
+      };
+    }
+
+    const changedAt = user.get(options.passphraseChangedAt.path);
+
+    if (options.expiry.maxAge && changedAt instanceof Date &&
+      changedAt.getTime() + options.expiry.maxAge <= Date.now()) {
+      return {
+        reason: 'passphraseExpired',
+        code: 'PASSPHRASE_EXPIRED',
+        message: options.expiry.expiredError
+      };
+    }
+  }
+
+  // Resolves the user matching an identifier on any username path (or `null` if none match)
+  function findByIdentifier(query, identifier) {
+    const conditions = _.compact(_.map(usernames, function identifierCondition(username) {
+      // Apply the path's setters (e.g. `trim` or `lowercase`) as when storing the value
+      const value = castIdentifier(query.model, username.path, identifier);
+
+      // The identifier could not be cast correctly by mongoose for this path
+      // This is typical when using an ObjectId as the username
+      // Treat as not matching the path
+      if (value === undefined) { return; }
+
+      return { [username.path]: value };
+    }));
+
+    if (conditions.length === 0) { return Promise.resolve(null); }
+
+    query.where(conditions.length === 1 ? conditions[0] : { $or: conditions });
+    query.limit(2);
+
+    if (options.username.collation) {
+      query.collation(options.username.collation);
+    }
+
+    return query.exec().then(function matchedUsers(users) {
+      if (users.length > 1) {
+        throw failure(createError(errors.AuthError, options.username.ambiguousError, 'AMBIGUOUS_USER'), 'ambiguousUsername');
+      }
+
+      return users.length ? users[0] : null;
+    });
+  }
+
+  // Resolves the first policy violation (or reuse of a previous passphrase) of a new passphrase as `{ violation, history }`
+  // `history` contains the current and retained hashes (for updating the history once the passphrase is set)
+  function checkNewPassphrase(user, passphrase) {
+    return checkPolicy(user, passphrase).then(function checkHistory(violation) {
+      if (violation !== undefined) { return { violation: violation }; }
+
+      return loadHistory(user).then(function checkReuse(hashes) {
+        return findReuse(passphrase, hashes).then(function reused(violation) {
+          return { violation: violation, history: hashes };
+        });
+      });
+    });
+  }
+
+  // Resolves the first policy violation (if any) as `{ kind, message }`
+  function checkPolicy(user, passphrase) {
+    const policy = options.passphrase.policy;
+    const value = String(passphrase);
+    const length = Array.from(value).length;
+    const lowerValue = value.toLowerCase();
+
+    // Evaluated in order, the first failing rule is reported
+    const kind = _.findKey({
+      minLength: length < policy.minLength,
+      maxLength: policy.maxLength !== undefined && length > policy.maxLength,
+      lowercase: countMatches(value, /[a-z]/g) < policy.lowercase,
+      uppercase: countMatches(value, /[A-Z]/g) < policy.uppercase,
+      digits: countMatches(value, /[0-9]/g) < policy.digits,
+      symbols: countMatches(value, /[^a-zA-Z0-9]/g) < policy.symbols,
+      denylist: _.some(policy.denylist, function isDenied(denied) {
+        return String(denied).toLowerCase() === lowerValue;
+      }),
+      username: policy.username && _.some(usernames, function containsUsername(username) {
+        const value = user.get(username.path);
+
+        return !_.isNil(value) && String(value) !== '' && _.includes(lowerValue, String(value).toLowerCase());
+      })
+    });
+
+    if (kind !== undefined) {
+      return Promise.resolve({ kind: kind, message: policy.messages[kind] });
+    }
+
+    if (!_.isFunction(policy.validator)) {
+      return Promise.resolve();
+    }
+
+    return Promise.resolve().then(function customValidator() {
+      return policy.validator(passphrase, user);
+    }).then(function checkResult(result) {
+      if (result === false || _.isString(result)) {
+        return {
+          kind: 'validator',
+          message: _.isString(result) ? result : policy.messages.validator
+        };
+      }
+    });
+  }
+
+  // Tokens identify their family so it can be found (and revoked) when a rotated token is reused
+  function generateRefreshToken(family) {
+    return family + '.' + crypto.randomBytes(options.refreshTokens.len).toString('hex');
+  }
+
+  // Replaces a passphrase set by an update with its hash (and the related paths)
+  // Updates that cannot be hashed safely are rejected
+  function hashUpdate(query, op) {
+    const update = query.getUpdate();
+    const path = options.passphrase.path;
+
+    if (!_.isPlainObject(update)) { return Promise.resolve(); }
+
+    const isUnsafe = _.some(update, function unsafeOperator(fields, operator) {
+      if (!_.startsWith(operator, '$') || operator === '$set' || operator === '$setOnInsert') {
+        return false;
+      }
+
+      return _.some(_.keys(fields), function touchesPath(key) {
+        return key === path || _.startsWith(key, path + '.') ||
+          (operator === '$rename' && fields[key] === path);
+      });
+    });
+
+    if (isUnsafe) {
+      return Promise.reject(createError(errors.AuthError, options.passphrase.updateOperatorError, 'UNSUPPORTED_PASSPHRASE_UPDATE'));
+    }
+
+    // The passphrase is either a field of the update (replaced or implicitly `$set`) or of an operator
+    const target = _.find([update, update.$set, update.$setOnInsert], function hasPassphrase(fields) {
+      return _.has(fields, path);
+    });
+
+    if (target === undefined) { return Promise.resolve(); }
+
+    const isReplacement = op === 'replaceOne' || !!query.options.overwrite;
+    const passphrase = _.get(target, path);
+
+    if (op === 'updateMany' || (op === 'update' && query.options.multi)) {
+      return Promise.reject(createError(errors.AuthError, options.passphrase.updateMultipleError, 'UNSUPPORTED_PASSPHRASE_UPDATE'));
+    }
+
+    if (options.history.len) {
+      return Promise.reject(createError(errors.AuthError, options.passphrase.updateHistoryError, 'UNSUPPORTED_PASSPHRASE_UPDATE'));
+    }
+
+    if (tokens && isReplacement) {
+      return Promise.reject(createError(errors.AuthError, options.passphrase.updateReplacementError, 'UNSUPPORTED_PASSPHRASE_UPDATE'));
+    }
+
+    if (!_.isString(passphrase)) {
+      return Promise.reject(createError(errors.AuthError, options.passphrase.updateTypeError, 'UNSUPPORTED_PASSPHRASE_UPDATE'));
+    }
+
+    let user;
+
+    return updatedUser(query, update).then(function checkUser(updated) {
+      user = updated;
+
+      return checkPolicy(user, passphrase);
+    }).then(function enforcePolicy(violation) {
+      if (violation !== undefined) {
+        // Reported as a validation error on the passphrase path (without the value)
+        throw user.invalidate(path, violation.message, undefined, violation.kind);
+      }
+
+      return new Promise(function createSalt(resolve, reject) {
+        crypto.randomBytes(options.salt.len, function saltCreated(err, buf) {
+          if (err) { return reject(err); }
+
+          resolve(buf.toString(options.hash.encoding));
+        });
+      });
+    }).then(function createHash(salt) {
+      return Promise.resolve(hashAlgorithm.hash(pepper(passphrase, options.pepper.current), salt, options.hash)).then(function setHash(hash) {
+        // Replacements are documents (nested paths) while operators use dotted keys
+        const set = isReplacement ? _.set : function setKey(fields, key, value) {
+          fields[key] = value;
+        };
+
+        _.set(target, path, hash);
+        set(target, options.salt.path, salt);
+
+        if (peppered) {
+          set(target, options.pepperVersion.path, options.pepper.current);
+        }
+
+        if (options.expiry.enabled) {
+          set(target, options.passphraseChangedAt.path, new Date());
+          set(target, options.mustChangePassphrase.path, false);
+        }
+
+        if (tokens && target !== update.$setOnInsert) {
+          // Revokes previously issued tokens
+          update.$inc = _.assign({}, update.$inc, { [options.tokenVersion.path]: 1 });
+        }
+      });
+    });
+  }
+
+  // Resolves the user an update applies to (with the update applied) for checking the policy
+  // The matched user is loaded if the policy depends on it (otherwise only the query and update identify the user)
+  function updatedUser(query, update) {
+    const policy = options.passphrase.policy;
+    const User = query.model;
+    const conditions = _.omitBy(query.getQuery(), function isOperator(value, key) {
+      return _.startsWith(key, '$') || _.isPlainObject(value);
+    });
+    const fields = _.omitBy(update, function isOperator(value, key) {
+      return _.startsWith(key, '$');
+    });
+    const inserted = function inserted() {
+      return new User(_.assign(conditions, update.$setOnInsert, update.$set, fields));
+    };
+
+    if (!policy.username && !_.isFunction(policy.validator)) {
+      return Promise.resolve(inserted());
+    }
+
+    const stored = inSession(User.findOne(query.getQuery()), query.options.session);
+
+    if (query.options.collation) {
+      stored.collation(query.options.collation);
+    }
+
+    return stored.exec().then(function applyUpdate(user) {
+      // Nothing matched (e.g. an upsert inserting the user)
+      if (user === null) { return inserted(); }
+
+      user.set(_.assign({}, update.$set, fields));
+
+      return user;
+    });
+  }
+
+  // Selects the paths along with the rest of the selection (`+` includes the paths excluded by default)
+  function selectPaths(query, paths) {
+    const inclusive = query.selectedInclusively();
+    const selection = _.compact(_.map(paths, function selection(path) {
+      const schemaType = schema.path(path);
+
+      if (schemaType && schemaType.options.select === false) {
+        return '+' + path;
+      }
+
+      // Other paths are selected by default unless the selection is inclusive
+      return inclusive ? path : undefined;
+    }));
+
+    if (selection.length) {
+      query.select(selection.join(' '));
+    }
+  }
+
+  // Excludes a credential path from queries unless selected (see `options.credentials.hidden`)
+  function hideCredential(pathOptions) {
+    return options.credentials.hidden ? _.assign({ select: false }, pathOptions) : pathOptions;
+  }
+
+  // Resolves the stored passphrase hash and salt (loading them if not selected)
+  function loadHash(user) {
+    if (user.isNew || user.isSelected(options.passphrase.path)) {
+      return Promise.resolve({
+        passphrase: user.get(options.passphrase.path),
+        salt: user.get(options.salt.path)
+      });
+    }
+
+    const query = inSession(user.constructor.findById(user._id), documentSession(user));
+
+    query.select([options.passphrase.path, options.salt.path].join(' '));
+
+    return query.exec().then(function storedHash(stored) {
+      return stored === null ? {} : {
+        passphrase: stored.get(options.passphrase.path),
+        salt: stored.get(options.salt.path)
+      };
+    });
+  }
+
+  // Resolves the user with the TOTP secret (loading it if not selected) and the current lockout state
+  function loadTotp(user) {
+    const paths = [options.totpSecret.path];
+
+    // Failed codes may have locked the user since it was loaded
+    if (options.lockout.attempts) {
+      paths.push(options.failedAttempts.path, options.lockUntil.path);
+    }
+
+    if (user.isNew || (paths.length === 1 && user.isSelected(options.totpSecret.path))) {
+      return Promise.resolve(user);
+    }
+
+    const query = inSession(user.constructor.findById(user._id), documentSession(user));
+
+    query.select(paths.join(' '));
+
+    return query.exec().then(function storedSecret(stored) {
+      return stored === null ? user : stored;
+    });
+  }
+
+  // Resolves the user with the recovery code hashes (loading them in the session if not selected) and the current lockout state
+  function loadRecoveryCodes(user, session) {
+    const paths = [options.recoveryCodes.path];
+
+    // Failed codes may have locked the user since it was loaded
+    if (options.lockout.attempts) {
+      paths.push(options.failedAttempts.path, options.lockUntil.path);
+    }
+
+    if (user.isNew || (paths.length === 1 && user.isSelected(options.recoveryCodes.path))) {
+      return Promise.resolve(user);
+    }
+
+    const query = inSession(user.constructor.findById(user._id), session);
+
+    query.select(paths.join(' '));
+
+    return query.exec().then(function storedCodes(stored) {
+      return stored === null ? user : stored;
+    });
+  }
+
+  // Resolves the stored token version (loading it in the session if not selected)
+  function loadTokenVersion(user, session) {
+    if (user.isNew || user.isSelected(options.tokenVersion.path)) {
+      return Promise.resolve(user.get(options.tokenVersion.path) || 0);
+    }
+
+    const query = inSession(user.constructor.findById(user._id), session);
+
+    query.select(options.tokenVersion.path);
+
+    return query.exec().then(function storedVersion(stored) {
+      return stored === null ? 0 : stored.get(options.tokenVersion.path) || 0;
+    });
+  }
+
+  // Resolves the current and retained passphrase hashes (most recent first)
+  function loadHistory(user) {
+    if (!options.history.len || user.isNew) { return Promise.resolve(); }
+
+    const query = inSession(user.constructor.findById(user._id), documentSession(user));
+
+    query.select([options.passphrase.path, options.salt.path, options.history.path].join(' '));
+
+    return query.exec().then(function storedHashes(stored) {
+      if (stored === null) { return []; }
+
+      const current = normalizeHash(stored.get(options.passphrase.path), stored.get(options.salt.path));
+
+      return _.compact([current].concat(_.toArray(stored.get(options.history.path))));
+    });
+  }
+
+  function findReuse(passphrase, hashes) {
+    // Previous passphrases may have been hashed with any (or no) pepper version
+    const candidates = [passphrase].concat(_.map(_.keys(options.pepper.keys), function applyPepper(version) {
+      return pepper(passphrase, version);
+    }));
+
+    return Promise.all(_.flatMap(hashes, function verifyPrevious(hash) {
+      return _.map(candidates, function verifyCandidate(candidate) {
+        return verifyHash(candidate, hash);
+      });
+    })).then(function checkReuse(matches) {
+      if (_.some(matches)) {
+        return { kind: 'history', message: options.history.reusedError };
+      }
+    });
+  }
+
+  // Counts an attempt by username and client key rejecting once either exceeds its limit
+  function limitRate(User, username, clientKey, context) {
+    if (!options.rateLimit.enabled) { return Promise.resolve(); }
+
+    if (clientKey === undefined) {
+      clientKey = options.rateLimit.clientKey(context);
+    }
 
-    if (options.populate) {
-      query.populate(options.populate);
+    // Counters of models sharing the collection are kept apart
+    const prefix = User.collection.name + ':';
+    const limits = _.compact([
+      !_.isNil(username) && options.rateLimit.maxPerUsername ? {
+        key: prefix + 'username:' + String(username).trim().toLowerCase(),
+        max: options.rateLimit.maxPerUsername
+      } : undefined,
+      !_.isNil(clientKey) && options.rateLimit.maxPerClient ? {
+        key: prefix + 'client:' + String(clientKey),
+        max: options.rateLimit.maxPerClient
+      } : undefined
+    ]);
+
+    return Promise.all(limits.map(function consumeLimit(limit) {
+      return rateLimit.consume(rateLimitStore(User), limit.key, limit.max, options.rateLimit.window);
+    })).then(function checkLimits(results) {
+      const exceeded = _.filter(results, function isExceeded(result) {
+        return result.retryAfter !== undefined;
+      });
+
+      if (exceeded.length === 0) { return; }
+
+      const err = createError(errors.RateLimitedError, options.rateLimit.limitedError);
+
+      // Seconds (as for the `Retry-After` header) until both limits allow an attempt
+      err.retryAfter = Math.max(1, Math.ceil(_.max(_.map(exceeded, 'retryAfter')) / 1000));
+
+      throw failure(err, 'rateLimited');
+    });
+  }
+
+  function rateLimitStore(User) {
+    if (options.rateLimit.store) { return options.rateLimit.store; }
+
+    if (!rateLimitStores.has(User.db)) {
+      rateLimitStores.set(User.db, new rateLimit.MongoStore(User.db.collection(options.rateLimit.collection)));
     }
 
-    return query.exec().then(function authenticated(user) {
-      if (user === null) {
-        throw new options.Error(options.username.incorrectError);
-      }
+    return rateLimitStores.get(User.db);
+  }
 
-      return user.authenticate(passphrase, cb);
-    }).catch(function authenticationError(err) {
-      if (err.name === 'CastError' && err.path === options.username.path) {
-        // The provided username could not be cast correctly by mongoose
-        // This is typical when using an ObjectId as the username
-        // Convert CastError to designated Error type
-        err = new options.Error(options.username.incorrectError);
-      }
+  function isLocked(user) {
+    if (!options.lockout.attempts) { return false; }
 
-      if (cb) { return cb(err); }
+    const lockUntil = user.get(options.lockUntil.path);
 
-      throw err;
+    return lockUntil !== undefined && lockUntil !== null && lockUntil > Date.now();
+  }
+
+  function registerFailure(user, settings) {
+    if (!options.lockout.attempts) { return Promise.resolve(); }
+
+    const User = user.constructor;
+    const session = documentSession(user);
+
+    // Increment atomically to count concurrent failures
+    return inSession(User.findOneAndUpdate({ _id: user._id }, {
+      $inc: { [options.failedAttempts.path]: 1 }
+    }, {
+      new: true,
+      select: options.failedAttempts.path
+    }), session).exec().then(function lock(doc) {
+      const attempts = doc ? doc.get(options.failedAttempts.path) : 0;
+
+      keepLockout(user, attempts, user.get(options.lockUntil.path));
+
+      if (attempts < options.lockout.attempts) { return; }
+
+      const exponent = options.lockout.backoff ? attempts - options.lockout.attempts : 0;
+      const duration = Math.min(
+        options.lockout.duration * Math.pow(2, exponent),
+        options.lockout.maxDuration
+      );
+
+      const lockUntil = new Date(Date.now() + duration);
+
+      return inSession(User.findOneAndUpdate({ _id: user._id }, {
+        $set: { [options.lockUntil.path]: lockUntil }
+      }), session).exec().then(function locked() {
+        keepLockout(user, attempts, lockUntil);
+
+        emitEvent(User, 'auth:locked', {
+          user: user,
+          username: user.get(usernames[0].path),
+          lockUntil: lockUntil,
+          context: settings.context
+        });
+      });
     });
-  });
+  }
 
-  /**
-   * The `authenticate` method is a function to validate the passphrase for a user.
-   * @function authenticate
-   * @param {string} passphrase - Raw passphrase value. Hashed automatically before storing using crypto module.
-   * @param {function} [cb] - A mongoose promise is returned if no callback is provided.
-   * @return {promise}
+  function resetFailures(user) {
+    if (!options.lockout.attempts || !user.get(options.failedAttempts.path)) {
+      return Promise.resolve();
+    }
 
-   * @example
-  ```js
-user.authenticate('my secret passphrase', function(err, user) {...});
-user.authenticate('my secret passphrase').then(function(user) {...}).then(function(err) {...}); // Uses promise
-  ```
-  */
-  schema.method('authenticate', function authenticate(passphrase, cb) {
-    if (passphrase === undefined || passphrase === null) {
-      let err = new options.Error(options.passphrase.missingError);
+    return inSession(user.constructor.findOneAndUpdate({ _id: user._id }, {
+      $set: { [options.failedAttempts.path]: 0 },
+      $unset: { [options.lockUntil.path]: 1 }
+    }), documentSession(user)).exec().then(function reset() {
+      keepLockout(user, 0, undefined);
+    });
+  }
+
+  // Keeps the lockout state of a loaded user as stored (so repeated attempts with the same document are locked)
+  function keepLockout(user, attempts, lockUntil) {
+    user.set(options.failedAttempts.path, attempts);
+    user.set(options.lockUntil.path, lockUntil);
+
+    // Already stored
+    user.unmarkModified(options.failedAttempts.path);
+    user.unmarkModified(options.lockUntil.path);
+  }
+
+  function totpUri(user, secret) {
+    const account = String(user.get(usernames[0].path));
+    const label = options.totp.issuer ?
+      encodeURIComponent(options.totp.issuer) + ':' + encodeURIComponent(account) :
+      encodeURIComponent(account);
+    const params = _.omitBy({
+      secret: base32Encode(secret),
+      issuer: options.totp.issuer,
+      algorithm: options.totp.digest.toUpperCase(),
+      digits: options.totp.digits,
+      period: options.totp.period
+    }, _.isUndefined);
 
-      return cb ? cb(err) : Promise.reject(err);
+    return 'otpauth://totp/' + label + '?' + _.map(params, function joinParam(value, key) {
+      return key + '=' + encodeURIComponent(value);
+    }).join('&');
+  }
+
+  function createError(ErrorType, message, code) {
+    if (options.Error === Error) {
+      return new ErrorType(message, code);
     }
 
-    const user = this;
+    // Custom error objects are given the same code
+    const err = new options.Error(message);
 
-    return pbkdf2(passphrase, user.get(options.salt.path), options).then(function checkHash(hash) {
-      if (hash !== user.get(options.passphrase.path)) {
-        throw new options.Error(options.passphrase.incorrectError);
-      }
+    err.code = code || ErrorType.prototype.code;
+
+    return err;
+  }
+
+  // Records the reason (and user) of an authentication error for reporting
+  function failure(err, reason, user) {
+    failures.set(err, { reason: reason, user: user });
+
+    return err;
+  }
 
-      // authenticated
-      if (cb) { return cb(null, user); }
+  // Emits the outcome of an authentication attempt
+  function reportAuthentication(User, attempt, details) {
+    return attempt.then(function success(user) {
+      emitEvent(User, 'auth:success', _.assign({}, details, { user: user }));
 
       return user;
-    }).catch(function authenticationError(err) {
-      if (cb) { return cb(err); }
+    }, function failed(err) {
+      const known = failures.get(err) || { reason: 'error' };
+
+      emitEvent(User, 'auth:failure', _.assign({}, details, {
+        user: known.user || details.user,
+        reason: known.reason,
+        error: err
+      }));
 
       throw err;
     });
-  });
+  }
+
+  function emitEvent(User, event, details) {
+    const payload = _.assign({ timestamp: new Date() }, details);
+
+    User.emit(event, payload);
+
+    if (!options.audit.enabled) { return; }
+
+    auditCollection(User).then(function audit(collection) {
+      return collection.insertOne(_.omitBy({
+        event: event,
+        user: payload.user ? payload.user._id : undefined,
+        username: payload.username,
+        reason: payload.reason,
+        context: payload.context,
+        timestamp: payload.timestamp
+      }, _.isUndefined));
+    }).catch(function auditError(err) {
+      User.emit('auth:auditError', { event: event, error: err });
+    });
+  }
+
+  // Resolves the (driver) audit collection once the connection is open creating it as capped if it doesn't exist
+  // Checked here as mongoose emits an existing collection that is not capped as an `error` on the connection
+  function auditCollection(User) {
+    const connection = User.db;
+    const name = options.audit.collection;
+
+    if (!auditCollections.has(connection)) {
+      auditCollections.set(connection, connectionOpen(connection).then(function findCollection(db) {
+        return new Promise(function cappedCollection(resolve, reject) {
+          db.listCollections({ name: name }).toArray(function listed(err, collections) {
+            if (err) { return reject(err); }
+
+            if (collections.length === 0) {
+              return db.createCollection(name, _.omitBy({
+                capped: true,
+                size: options.audit.size,
+                max: options.audit.max
+              }, _.isUndefined), function created(err, collection) {
+                if (err) { return reject(err); }
+
+                resolve(collection);
+              });
+            }
+
+            if (!collections[0].options || !collections[0].options.capped) {
+              return reject(new Error('Audit collection is not capped: ' + name));
+            }
+
+            resolve(db.collection(name));
+          });
+        });
+      }).catch(function collectionError(err) {
+        // Retried with the next event
+        auditCollections.delete(connection);
+
+        throw err;
+      }));
+    }
+
+    return auditCollections.get(connection);
+  }
+
+  // Duplicate key errors identify the index (named after the path) in the message
+  function isDuplicateUsername(err) {
+    if (!err || (err.code !== 11000 && err.code !== 11001)) { return false; }
+
+    return _.some(usernames, function matchesIndex(username) {
+      return _.has(err.keyPattern, username.path) ||
+        _.includes(err.message, ' index: ' + username.path + '_') ||
+        _.includes(err.message, '.$' + username.path + '_');
+    });
+  }
+
+  function credentialsError(ErrorType, message) {
+    return options.credentials.generic ?
+      createError(errors.AuthError, options.credentials.incorrectError, 'INVALID_CREDENTIALS') :
+      createError(ErrorType, message);
+  }
+
+  function dummyHash(passphrase) {
+    return Promise.resolve().then(function createHash() {
+      return hashAlgorithm.hash(pepper(String(passphrase), options.pepper.current), dummySalt, options.hash);
+    }).catch(_.noop);
+  }
+
+  // Passphrases hashed without a pepper version are used as is
+  function pepper(passphrase, version) {
+    if (!peppered || version === undefined || version === null) {
+      return passphrase;
+    }
+
+    if (!_.has(options.pepper.keys, version)) {
+      throw new Error('Unknown pepper version: ' + version);
+    }
+
+    return crypto.createHmac(options.pepper.digest, options.pepper.keys[version])
+      .update(String(passphrase))
+      .digest('hex');
+  }
+
+  function verifyHash(passphrase, stored) {
+    const algorithm = identifyAlgorithm(stored);
+
+    if (algorithm === undefined) { return Promise.resolve(false); }
+
+    return Promise.resolve(algorithm.verify(passphrase, stored, options.hash));
+  }
+
+  // Records hashed before parameters were stored with the passphrase only have a bare digest
+  // Assume pbkdf2 with the current options was used
+  function normalizeHash(stored, salt) {
+    if (!_.isString(stored) || stored === '' || _.startsWith(stored, '$')) {
+      return stored;
+    }
+
+    return formatPbkdf2(salt, stored, options.hash);
+  }
+
+  // Serializes a hash created by another system for verifying with a known algorithm
+  function importHash(credentials) {
+    const algorithm = credentials.algorithm;
+    const identified = identifyAlgorithm(credentials.hash);
+
+    if (identified !== undefined && identified.id === algorithm) {
+      return credentials.hash;
+    }
+
+    // The salt is serialized as a field of the hash
+    if (_.includes(credentials.salt, '$')) {
+      throw new Error('Unsupported salt for importing (contains "$")');
+    }
+
+    if (algorithm === 'pbkdf2') {
+      return formatPbkdf2(credentials.salt, credentials.hash, _.assign({}, options.hash, credentials.params));
+    }
+
+    if (algorithm === 'scrypt') {
+      return formatScrypt(credentials.salt, credentials.hash, _.assign({}, options.hash, credentials.params));
+    }
+
+    if (_.includes(crypto.getHashes(), algorithm)) {
+      const params = _.assign({ encoding: 'hex', saltFirst: false }, credentials.params);
+
+      return formatHash('salted-' + algorithm, {
+        s: params.saltFirst ? 1 : 0,
+        e: params.encoding
+      }, credentials.salt || '', credentials.hash);
+    }
+
+    throw new Error('Unsupported hash algorithm: ' + algorithm);
+  }
+
+  function identifyAlgorithm(stored) {
+    if (!_.isString(stored)) { return; }
+
+    return _.find(knownAlgorithms, function identify(algorithm) {
+      return _.isFunction(algorithm.identify) ?
+        algorithm.identify(stored) :
+        _.startsWith(stored, '$' + algorithm.id + '$');
+    });
+  }
+
+  function needsRehash(algorithm, stored) {
+    if (algorithm === undefined || algorithm.id !== hashAlgorithm.id) {
+      return true;
+    }
+
+    return _.isFunction(algorithm.needsRehash) ?
+      !!algorithm.needsRehash(stored, options.hash) :
+      false;
+  }
 }
 
-function pbkdf2(passphrase, salt, options) {
+// Supported token signing algorithms (HMAC digests)
+const tokenAlgorithms = {
+  HS256: 'sha256',
+  HS512: 'sha512'
+};
+
+const usernameNormalizers = {
+  lowercase: function lowercase(value) {
+    return value.toLowerCase();
+  },
+  nfkc: function nfkc(value) {
+    return value.normalize('NFKC');
+  }
+};
+
+// Built-in hashing algorithms. User supplied adapters follow the same interface.
+const algorithms = {
+  pbkdf2: {
+    id: 'pbkdf2',
+    hash: function hashPbkdf2(passphrase, salt, options) {
+      return pbkdf2(passphrase, salt, options).then(function format(hash) {
+        return formatPbkdf2(salt, hash, options);
+      });
+    },
+    verify: function verifyPbkdf2(passphrase, stored) {
+      const parsed = parseHash(stored);
+
+      if (parsed === undefined) { return Promise.resolve(false); }
+
+      return pbkdf2(passphrase, parsed.salt, pbkdf2Params(parsed)).then(function checkHash(hash) {
+        return safeEqual(hash, parsed.hash);
+      });
+    },
+    identify: function identifyPbkdf2(stored) {
+      return _.startsWith(stored, '$pbkdf2-');
+    },
+    needsRehash: function needsRehashPbkdf2(stored, options) {
+      const params = pbkdf2Params(parseHash(stored));
+
+      return params.iterations < options.iterations ||
+        params.keylen < options.keylen ||
+        params.digest !== options.digest;
+    }
+  },
+  scrypt: {
+    id: 'scrypt',
+    hash: function hashScrypt(passphrase, salt, options) {
+      return scrypt(passphrase, salt, options).then(function format(hash) {
+        return formatScrypt(salt, hash, options);
+      });
+    },
+    verify: function verifyScrypt(passphrase, stored) {
+      const parsed = parseHash(stored);
+
+      if (parsed === undefined) { return Promise.resolve(false); }
+
+      return scrypt(passphrase, parsed.salt, scryptParams(parsed)).then(function checkHash(hash) {
+        return safeEqual(hash, parsed.hash);
+      });
+    },
+    needsRehash: function needsRehashScrypt(stored, options) {
+      const params = scryptParams(parseHash(stored));
+
+      return params.cost < options.cost ||
+        params.blockSize < options.blockSize ||
+        params.parallelization < options.parallelization ||
+        params.keylen < options.keylen;
+    }
+  },
+  // Salted digests (e.g. SHA-1) of imported users. Only verified and re-hashed upon authentication.
+  salted: {
+    id: 'salted',
+    verify: function verifySalted(passphrase, stored) {
+      const parsed = parseHash(stored);
+
+      if (parsed === undefined) { return Promise.resolve(false); }
+
+      const value = parsed.params.s === '1' ? parsed.salt + passphrase : passphrase + parsed.salt;
+      const hash = crypto.createHash(parsed.id.replace(/^salted-/, ''))
+        .update(value)
+        .digest(parsed.params.e);
+
+      return Promise.resolve(safeEqual(hash, parsed.hash));
+    },
+    identify: function identifySalted(stored) {
+      return _.startsWith(stored, '$salted-');
+    }
+  }
+};
+
+function pbkdf2(passphrase, salt, params) {
   return new Promise(function promisfy(resolve, reject) {
-    const args = [passphrase, salt, options.hash.iterations, options.hash.keylen];
+    const args = [passphrase, salt, params.iterations, params.keylen];
 
     if (nodeVersion >= 8) {
-      args.push(options.hash.digest);
+      args.push(params.digest);
     }
 
     // async method
     crypto.pbkdf2.apply(crypto, args.concat([function createRawHash(err, hashRaw) {
       if (err) { return reject(err); }
 
-      resolve(new Buffer(hashRaw, 'binary').toString(options.hash.encoding));
+      resolve(new Buffer(hashRaw, 'binary').toString(params.encoding));
     }]));
   });
 }
+
+// Returns the matching time step for the code (if any)
+function findTotpCounter(secret, code, params) {
+  const current = Math.floor(Date.now() / 1000 / params.period);
+
+  return _.find(_.range(current - params.window, current + params.window + 1), function matchCode(counter) {
+    return safeEqual(hotp(secret, counter, params), code);
+  });
+}
+
+// RFC 4226
+function hotp(secret, counter, params) {
+  const buf = new Buffer(8);
+
+  buf.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buf.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto.createHmac(params.digest, secret).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return _.padStart(String(binary % Math.pow(10, params.digits)), params.digits, '0');
+}
+
+// RFC 4648 (without padding)
+function base32Encode(buf) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = '';
+
+  for (let i = 0; i < buf.length; i++) {
+    bits += _.padStart(buf[i].toString(2), 8, '0');
+  }
+
+  return _.map(_.chunk(bits, 5), function encodeChunk(chunk) {
+    return alphabet[parseInt(_.padEnd(chunk.join(''), 5, '0'), 2)];
+  }).join('');
+}
+
+// Secrets are stored as `<iv>:<auth tag>:<ciphertext>` (hex)
+function encryptSecret(secret, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(key), iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(function encode(buf) {
+    return buf.toString('hex');
+  }).join(':');
+}
+
+function decryptSecret(value, key) {
+  const parts = value.split(':').map(function decode(part) {
+    return new Buffer(part, 'hex');
+  });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(key), parts[0]);
+
+  decipher.setAuthTag(parts[1]);
+
+  return Buffer.concat([decipher.update(parts[2]), decipher.final()]);
+}
+
+function deriveKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function countMatches(value, regex) {
+  return (value.match(regex) || []).length;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code).replace(/[\s-]/g, '').toLowerCase();
+}
+
+// Tokens are random and long enough that a fast hash suffices
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function base64url(value) {
+  return new Buffer(value).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function signJwt(claims, secret, algorithm) {
+  const content = [
+    base64url(JSON.stringify({ alg: algorithm, typ: 'JWT' })),
+    base64url(JSON.stringify(claims))
+  ].join('.');
+
+  return content + '.' + base64url(crypto.createHmac(tokenAlgorithms[algorithm], secret).update(content).digest());
+}
+
+// Returns the claims of a token signed with the algorithm (if valid)
+function decodeJwt(token, secret, algorithm) {
+  const parts = String(token).split('.');
+
+  if (parts.length !== 3) { return; }
+
+  const content = parts[0] + '.' + parts[1];
+  const signature = base64url(crypto.createHmac(tokenAlgorithms[algorithm], secret).update(content).digest());
+
+  if (!safeEqual(signature, parts[2])) { return; }
+
+  try {
+    const header = JSON.parse(new Buffer(parts[0], 'base64').toString());
+    const claims = JSON.parse(new Buffer(parts[1], 'base64').toString());
+
+    // Only accept the configured algorithm (e.g. never `none`)
+    return header.alg === algorithm && _.isPlainObject(claims) ? claims : undefined;
+  } catch (err) {
+    return;
+  }
+}
+
+// Compares in constant time (relative to the length of `a`)
+function safeEqual(a, b) {
+  const bufA = new Buffer(String(a));
+  const bufB = new Buffer(String(b));
+  const isEqualLength = bufA.length === bufB.length;
+
+  if (_.isFunction(crypto.timingSafeEqual)) {
+    // Still compare on mismatched lengths to avoid an early return
+    return crypto.timingSafeEqual(bufA, isEqualLength ? bufB : bufA) && isEqualLength;
+  }
+
+  // Node < v6.6
+  let diff = isEqualLength ? 0 : 1;
+
+  for (let i = 0; i < bufA.length; i++) {
+    diff |= bufA[i] ^ (bufB[i] || 0);
+  }
+
+  return diff === 0;
+}
+
+function scrypt(passphrase, salt, params) {
+  return new Promise(function promisfy(resolve, reject) {
+    if (!_.isFunction(crypto.scrypt)) {
+      return reject(new Error('scrypt is not supported by Node ' + process.version));
+    }
+
+    crypto.scrypt(passphrase, salt, params.keylen, {
+      N: params.cost,
+      r: params.blockSize,
+      p: params.parallelization,
+      // Allow twice the memory required (128 * N * r) by the parameters
+      maxmem: 256 * params.cost * params.blockSize
+    }, function createRawHash(err, hashRaw) {
+      if (err) { return reject(err); }
+
+      resolve(hashRaw.toString(params.encoding));
+    });
+  });
+}
+
+// Settles the callback (if provided) with the outcome of the promise, otherwise returns the promise
+// Called asynchronously so errors thrown by the callback are not caught by the promise
+function callbackify(promise, cb) {
+  if (!_.isFunction(cb)) { return promise; }
+
+  promise.then(function resolved(result) {
+    process.nextTick(cb, null, result);
+  }, function rejected(err) {
+    process.nextTick(cb, err);
+  });
+}
+
+// Runs an operation (synchronously) resolving its outcome or rejecting once the signal is aborted
+function abortable(signal, operation) {
+  return new Promise(function runOperation(resolve, reject) {
+    if (!signal) { return resolve(operation()); }
+
+    if (signal.aborted) { return reject(abortError(signal)); }
+
+    const onAbort = function onAbort() {
+      reject(abortError(signal));
+    };
+
+    signal.addEventListener('abort', onAbort);
+
+    new Promise(function settle(resolveOperation) {
+      resolveOperation(operation());
+    }).then(function resolved(result) {
+      signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    }, function rejected(err) {
+      signal.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+  });
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortError(signal);
+  }
+}
+
+// Node v17.2+ signals provide the reason (an `AbortError` by default)
+function abortError(signal) {
+  if (signal.reason !== undefined) { return signal.reason; }
+
+  const err = new Error('The operation was aborted');
+
+  err.name = 'AbortError';
+  err.code = 'ABORT_ERR';
+
+  return err;
+}
+
+// Resolves the session of the options or else the session of the document (if any)
+function resolveSession(opts, doc) {
+  return opts && opts.session ? opts.session : documentSession(doc);
+}
+
+// Documents loaded by a query in a session (or saved in one) keep it (mongoose v5+)
+function documentSession(doc) {
+  if (doc && _.isFunction(doc.$session)) {
+    return doc.$session() || undefined;
+  }
+}
+
+// Associates the document with the session (if any) so saving it uses the session
+function useSession(doc, session) {
+  if (session) {
+    doc.$session(session);
+  }
+
+  return doc;
+}
+
+// Resolves the (driver) database of the connection once open
+function connectionOpen(connection) {
+  if (connection.readyState === 1) { return Promise.resolve(connection.db); }
+
+  return new Promise(function waitForOpen(resolve) {
+    connection.once('open', function opened() {
+      resolve(connection.db);
+    });
+  });
+}
+
+// Runs the query in the session (if any)
+function inSession(query, session) {
+  return session ? query.session(session) : query;
+}
+
+// Serializes the hash with its parameters in a PHC style string:
+// `$<id>$<param>=<value>[,...]$<salt>$<hash>`
+function formatHash(id, params, salt, hash) {
+  return [
+    '',
+    id,
+    _.map(params, function joinParam(value, key) {
+      return key + '=' + value;
+    }).join(','),
+    salt,
+    hash
+  ].join('$');
+}
+
+function formatPbkdf2(salt, hash, params) {
+  return formatHash('pbkdf2-' + params.digest, {
+    i: params.iterations,
+    l: params.keylen,
+    e: params.encoding
+  }, salt, hash);
+}
+
+function formatScrypt(salt, hash, params) {
+  return formatHash('scrypt', {
+    ln: Math.log2(params.cost),
+    r: params.blockSize,
+    p: params.parallelization,
+    l: params.keylen,
+    e: params.encoding
+  }, salt, hash);
+}
+
+// Returns `undefined` for values not serialized by `formatHash` (e.g. bare digests)
+function parseHash(value) {
+  const match = /^\$([\w-]+)\$([^$]*)\$([^$]*)\$([^$]+)$/.exec(value);
+
+  if (match === null) { return; }
+
+  return {
+    id: match[1],
+    params: _.fromPairs(match[2].split(',').map(function splitParam(param) {
+      return param.split('=');
+    })),
+    salt: match[3],
+    hash: match[4]
+  };
+}
+
+function pbkdf2Params(parsed) {
+  return {
+    iterations: Number(parsed.params.i),
+    keylen: Number(parsed.params.l),
+    encoding: parsed.params.e,
+    digest: parsed.id.replace(/^pbkdf2-/, '')
+  };
+}
+
+function scryptParams(parsed) {
+  return {
+    cost: Math.pow(2, Number(parsed.params.ln)),
+    blockSize: Number(parsed.params.r),
+    parallelization: Number(parsed.params.p),
+    keylen: Number(parsed.params.l),
+    encoding: parsed.params.e
+  };
+}
+
+function castIdentifier(Model, path, value) {
+  try {
+    return Model.schema.path(path).applySetters(value, null);
+  } catch (err) {
+    return;
+  }
+}
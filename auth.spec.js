@@ -1,5 +1,6 @@
 'use strict';
 
+const crypto = require('crypto');
 const expect = require('chai').expect;
 const mongoose = require('mongoose');
 const faker = require('faker');
@@ -46,11 +47,22 @@ describe('Mongoose plugin: auth', function () {
     it('should append statics to Schema', function () {
       expect(schema.statics).to.have.all.keys(
         'authenticate',
+        'importUser',
+        'importUsers',
         'register',
         'setPassphrase'
       );
     });
 
+    it('should return the username path', function () {
+      const email = userSchema();
+      email.plugin(auth, { username: { path: 'email' } });
+
+      expect(auth.getUsernamePath(schema)).to.be.equal('username');
+      expect(auth.getUsernamePath(email)).to.be.equal('email');
+      expect(auth.getUsernamePath(userSchema())).to.be.equal('username');
+    });
+
     it('should append paths to Schema', function () {
       expect(schema.paths).to.have.all.keys(
         '_id',
@@ -170,8 +182,10 @@ describe('Mongoose plugin: auth', function () {
     it('should not register a new user with an existing `username`', function (done) {
       User.register(users[0].username, users[0].password, function (err, user) {
         expect(err).not.to.be.null;
-        expect(err.name).to.be.equal('MongoError');
-        expect(err.code).to.be.equal(11000);
+        expect(err).to.be.an.instanceof(auth.DuplicateUserError);
+        expect(err.name).to.be.equal('DuplicateUserError');
+        expect(err.code).to.be.equal('DUPLICATE_USER');
+        expect(err.message).to.be.equal('Username already exists');
         expect(user).to.be.undefined;
 
         done();
@@ -504,245 +518,3553 @@ describe('Mongoose plugin: auth', function () {
     });
   });
 
-  describe('with promises', function () {
-    describe('with user registration and authentication', function () {
-      let User;
-      let users;
+  describe('with stored hash parameters', function () {
+    let User;
+    let user;
 
-      before(function (done) {
-        const schema = userSchema();
-        schema.plugin(auth);
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        hash: { iterations: 1000 }
+      });
 
-        users = Array(3).join('.').split('.').map(function () {
-          return {
-            name: faker.name.findName(),
-            username: faker.internet.userName(),
-            password: faker.internet.password()
-          };
-        });
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
 
-        User = model(connection, 'User', schema);
+      User = model(connection, 'User', schema);
 
-        User.collection.remove(done);
-      });
+      User.collection.remove(done);
+    });
 
-      it('should not register a new user without either `username` or `passphrase` specified', function () {
-        return User.register(undefined, undefined).then(function () {
-          // Shouldn't get here
-          throw new Error('Test failed');
-        }).catch(function (err) {
-          expect(err.errors).to.have.all.keys('salt', 'username', 'passphrase');
-          expect(err.errors.salt).to.be.an('object');
-          expect(err.errors.username).to.be.an('object');
-          expect(err.errors.passphrase).to.be.an('object');
-        });
-      });
+    it('should store the hash parameters with the passphrase', function (done) {
+      User.register(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.passphrase).to.match(/^\$pbkdf2-sha512\$i=1000,l=512,e=hex\$[0-9a-f]+\$[0-9a-f]+$/);
+        expect(doc.passphrase.split('$')[3]).to.be.equal(doc.salt);
 
-      it('should register a new user', function () {
-        return User.register(users[0].username, users[0].password).then(function (user) {
-          expect(user).to.be.an('object');
-          expect(user.username).to.be.equal(users[0].username);
-          expect(user.salt).to.be.a('string');
-          expect(user.passphrase).to.be.a('string');
-          expect(user.passphrase).not.to.be.equal(users[0].password);
+        user.passphrase = doc.passphrase;
 
-          users[0].id = user.id;
-          users[0].salt = user.salt;
-          users[0].passphrase = user.passphrase;
-        });
+        done();
       });
+    });
 
-      it('should not register a new user with an existing `username`', function () {
-        return User.register(users[0].username, users[0].password).then(function () {
-          // Shouldn't get here
-          throw new Error('Test failed');
-        }).catch(function (err) {
-          expect(err).not.to.be.null;
-          expect(err.name).to.be.equal('MongoError');
-          expect(err.code).to.be.equal(11000);
-        });
+    it('should authenticate with the stored parameters after the options change', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        hash: { iterations: 2000, rehash: false }
       });
 
-      it('should register a new user with extra fields populated', function () {
-        return User.register(users[1].username, users[1].password, { name: users[1].name }).then(function (user) {
-          expect(user).to.be.an('object');
-          expect(user.username).to.be.equal(users[1].username);
-          expect(user.name).to.be.equal(users[1].name);
-          expect(user.salt).to.be.a('string');
-          expect(user.passphrase).to.be.a('string');
-          expect(user.passphrase).not.to.be.equal(users[1].password);
+      const Upgraded = connection.model('UserNoRehash', schema, 'User');
 
-          users[1].id = user.id;
-          users[1].salt = user.salt;
-          users[1].passphrase = user.passphrase;
-        });
-      });
+      Upgraded.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+        expect(doc.passphrase).to.be.equal(user.passphrase);
 
-      it('should not authenticate an unspecified user', function () {
-        return User.authenticate(undefined, undefined).then(function () {
-          // Shouldn't get here
-          throw new Error('Test failed');
-        }).catch(function (err) {
-          expect(err).not.to.be.null;
-          expect(err.message).to.be.equal('Username was not specified');
-        });
+        done();
       });
+    });
 
-      it('should not authenticate an unknown user', function () {
-        return User.authenticate(users[2].username, undefined).then(function () {
-          // Shouldn't get here
-          throw new Error('Test failed');
-        }).catch(function (err) {
-          expect(err).not.to.be.null;
-          expect(err.message).to.be.equal('Unknown username');
-        });
+    it('should not authenticate an incorrect passphrase after the options change', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        hash: { iterations: 2000 }
       });
 
-      it('should not authenticate an unspecified passphrase', function () {
-        return User.authenticate(users[0].username, undefined).then(function () {
-          // Shouldn't get here
-          throw new Error('Test failed');
-        }).catch(function (err) {
-          expect(err).not.to.be.null;
-          expect(err.message).to.be.equal('Passphrase was not specified');
-        });
+      const Upgraded = connection.model('UserRehash', schema, 'User');
+
+      Upgraded.authenticate(user.username, faker.internet.password(), function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Incorrect passphrase');
+        expect(doc).to.be.undefined;
+
+        done();
       });
+    });
 
-      it('should not authenticate a user with an incorrect passphrase', function () {
-        return User.authenticate(users[0].username, faker.internet.password()).then(function () {
-          // Shouldn't get here
-          throw new Error('Test failed');
-        }).catch(function (err) {
-          expect(err).not.to.be.null;
-          expect(err.message).to.be.equal('Incorrect passphrase');
+    it('should re-hash a passphrase with weaker parameters upon authentication', function (done) {
+      const Upgraded = connection.model('UserRehash');
+
+      Upgraded.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+        expect(doc.passphrase).to.match(/^\$pbkdf2-sha512\$i=2000,l=512,e=hex\$/);
+        expect(doc.passphrase).not.to.be.equal(user.passphrase);
+
+        Upgraded.findById(doc.id).select('+passphrase +salt').exec(function (err, stored) {
+          expect(err).to.be.null;
+          expect(stored.passphrase).to.be.equal(doc.passphrase);
+          expect(stored.salt).to.be.equal(doc.salt);
+
+          user.passphrase = doc.passphrase;
+
+          done();
         });
       });
+    });
 
-      it('should authenticate a user with correct username/passphrase', function () {
-        return User.authenticate(users[0].username, users[0].password).then(function (user) {
-          expect(user).to.be.an('object');
-          expect(user.id).to.be.equal(users[0].id);
-          expect(user.salt).to.be.a('string');
-          expect(user.salt).to.be.equal(users[0].salt);
-          expect(user.passphrase).to.be.a('string');
-          expect(user.passphrase).to.be.equal(users[0].passphrase);
-        });
+    it('should not re-hash a passphrase with stronger parameters upon authentication', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.passphrase).to.be.equal(user.passphrase);
+
+        done();
       });
+    });
 
-      it('should update the passphrase and authenticate', function () {
-        const password = faker.internet.password();
+    it('should authenticate and re-hash a passphrase stored without parameters', function (done) {
+      const salt = crypto.randomBytes(32).toString('hex');
+      const hash = crypto.pbkdf2Sync(user.password, salt, 1000, 512, 'sha512').toString('hex');
 
-        return User.setPassphrase(users[1].username, users[1].password, password).then(function (user) {
-          expect(user).to.be.an('object');
-          expect(user.id).to.be.equal(users[1].id);
-          expect(user.salt).to.be.a('string');
-          expect(user.salt).not.to.be.equal(users[1].salt);
-          expect(user.passphrase).to.be.a('string');
-          expect(user.passphrase).not.to.be.equal(users[1].passphrase);
+      User.collection.update({ username: user.username }, { $set: { salt: salt, passphrase: hash } }, function (err) {
+        expect(err).to.be.null;
 
-          users[1].password = password;
-          users[1].id = user.id;
-          users[1].salt = user.salt;
-          users[1].passphrase = user.passphrase;
+        User.authenticate(user.username, user.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
+          expect(doc.passphrase).to.match(/^\$pbkdf2-sha512\$i=1000,l=512,e=hex\$/);
+          expect(doc.salt).not.to.be.equal(salt);
 
-          return user.authenticate(users[1].password).then(function (user) {
-            expect(user).to.be.an('object');
-            expect(user.id).to.be.equal(users[1].id);
-            expect(user.salt).to.be.a('string');
-            expect(user.salt).to.be.equal(users[1].salt);
-            expect(user.passphrase).to.be.a('string');
-            expect(user.passphrase).to.be.equal(users[1].passphrase);
-          });
+          done();
         });
       });
+    });
+  });
 
-      it('should update the passphrase and authenticate with extra fields populated', function () {
-        const password = faker.internet.password();
+  describe('with hash algorithms', function () {
+    // Minimal adapter for testing purposes only
+    const sha256Adapter = {
+      id: 'sha256',
+      hash: function (passphrase, salt) {
+        return ['', 'sha256', salt, crypto.createHash('sha256').update(salt + passphrase).digest('hex')].join('$');
+      },
+      verify: function (passphrase, stored) {
+        const parts = stored.split('$');
 
-        return User.setPassphrase(users[1].username, users[1].password, password, { name: faker.name.findName() }).then(function (user) {
-          expect(user).to.be.an('object');
-          expect(user.id).to.be.equal(users[1].id);
-          expect(user.salt).to.be.a('string');
-          expect(user.salt).not.to.be.equal(users[1].salt);
-          expect(user.passphrase).to.be.a('string');
-          expect(user.passphrase).not.to.be.equal(users[1].passphrase);
-          expect(user.name).not.to.be.equal(users[1].name);
+        return Promise.resolve(crypto.createHash('sha256').update(parts[2] + passphrase).digest('hex') === parts[3]);
+      }
+    };
 
-          users[1].password = password;
-          users[1].id = user.id;
-          users[1].salt = user.salt;
-          users[1].passphrase = user.passphrase;
-          users[1].name = user.name;
+    let user;
 
-          return user.authenticate(users[1].password).then(function (user) {
-            expect(user).to.be.an('object');
-            expect(user.id).to.be.equal(users[1].id);
-            expect(user.salt).to.be.a('string');
-            expect(user.salt).to.be.equal(users[1].salt);
-            expect(user.passphrase).to.be.a('string');
-            expect(user.passphrase).to.be.equal(users[1].passphrase);
-          });
-        });
-      });
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth);
 
-      it('should authenticate and update the passphrase', function () {
-        return User.authenticate(users[0].username, users[0].password).then(function (user) {
-          const password = faker.internet.password();
+      const User = connection.model('UserDefault', schema, 'User');
 
-          expect(user).to.be.an('object');
-          expect(user.id).to.be.equal(users[0].id);
-          expect(user.salt).to.be.a('string');
-          expect(user.salt).to.be.equal(users[0].salt);
-          expect(user.passphrase).to.be.a('string');
-          expect(user.passphrase).to.be.equal(users[0].passphrase);
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
 
-          return user.setPassphrase(password).then(function (user) {
-            expect(user).to.be.an('object');
-            expect(user.id).to.be.equal(users[0].id);
-            expect(user.salt).to.be.a('string');
-            expect(user.salt).not.to.be.equal(users[0].salt);
-            expect(user.passphrase).to.be.a('string');
-            expect(user.passphrase).not.to.be.equal(users[0].passphrase);
+      User.collection.remove(function () {
+        User.register(user.username, user.password, done);
+      });
+    });
 
-            users[0].password = password;
-            users[0].id = user.id;
-            users[0].salt = user.salt;
-            users[0].passphrase = user.passphrase;
-          });
-        });
+    it('should not allow an unsupported algorithm', function () {
+      expect(function () {
+        userSchema().plugin(auth, { hash: { algorithm: 'md5' } });
+      }).to.throw('Unsupported hash algorithm: md5');
+    });
+
+    it('should register a new user using `scrypt`', function (done) {
+      if (!crypto.scrypt) { return this.skip(); }
+
+      const schema = userSchema();
+      schema.plugin(auth, {
+        hash: { algorithm: 'scrypt', cost: 1024 }
       });
 
-      it('should authenticate and update the passphrase with extra fields populated', function () {
-        return User.authenticate(users[0].username, users[0].password).then(function (user) {
-          const password = faker.internet.password();
+      const User = connection.model('UserScrypt', schema, 'User');
+      const other = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
 
-          expect(user).to.be.an('object');
-          expect(user.id).to.be.equal(users[0].id);
-          expect(user.salt).to.be.a('string');
-          expect(user.salt).to.be.equal(users[0].salt);
-          expect(user.passphrase).to.be.a('string');
-          expect(user.passphrase).to.be.equal(users[0].passphrase);
+      User.register(other.username, other.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.passphrase).to.match(/^\$scrypt\$ln=10,r=8,p=1,l=512,e=hex\$[0-9a-f]+\$[0-9a-f]+$/);
 
-          return user.setPassphrase(password, { name: faker.name.findName() }).then(function (user) {
-            expect(user).to.be.an('object');
-            expect(user.id).to.be.equal(users[0].id);
-            expect(user.salt).to.be.a('string');
-            expect(user.salt).not.to.be.equal(users[0].salt);
-            expect(user.passphrase).to.be.a('string');
-            expect(user.passphrase).not.to.be.equal(users[0].passphrase);
-            expect(user.name).not.to.be.equal(users[0].name);
+        User.authenticate(other.username, other.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
 
-            users[0].password = password;
-            users[0].id = user.id;
-            users[0].salt = user.salt;
-            users[0].passphrase = user.passphrase;
-            users[0].name = user.name;
-          });
+          done();
         });
       });
     });
 
-    describe('with user registration with usernamePath set to `_id`', function () {
+    it('should authenticate and re-hash using an adapter', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        hash: { algorithm: sha256Adapter }
+      });
+
+      const User = connection.model('UserAdapter', schema, 'User');
+
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+        expect(doc.passphrase).to.match(/^\$sha256\$[0-9a-f]+\$[0-9a-f]+$/);
+
+        done();
+      });
+    });
+
+    it('should register a new user using an adapter', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        hash: { algorithm: sha256Adapter }
+      });
+
+      const User = connection.model('UserAdapter', schema, 'User');
+      const other = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User.register(other.username, other.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.passphrase).to.match(/^\$sha256\$[0-9a-f]+\$[0-9a-f]+$/);
+
+        User.authenticate(other.username, other.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
+
+          done();
+        });
+      });
+    });
+
+    it('should authenticate users hashed with different algorithms side by side', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        hash: { adapters: [sha256Adapter], rehash: false }
+      });
+
+      const User = connection.model('UserPbkdf2', schema, 'User');
+      const other = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User.register(other.username, other.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.passphrase).to.match(/^\$pbkdf2-sha512\$/);
+
+        User.authenticate(user.username, user.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.passphrase).to.match(/^\$sha256\$/);
+
+          User.authenticate(other.username, other.password, function (err, doc) {
+            expect(err).to.be.null;
+            expect(doc.passphrase).to.match(/^\$pbkdf2-sha512\$/);
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('with generic credential errors', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        credentials: { generic: true }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, done);
+      });
+    });
+
+    it('should not authenticate an unknown user', function (done) {
+      User.authenticate(faker.internet.userName(), user.password, function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Invalid credentials');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should not authenticate a user with an incorrect passphrase', function (done) {
+      User.authenticate(user.username, faker.internet.password(), function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Invalid credentials');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should not authenticate an unspecified passphrase for an unknown user', function (done) {
+      User.authenticate(faker.internet.userName(), undefined, function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Passphrase was not specified');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should authenticate a user with correct username/passphrase', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+        expect(doc.username).to.be.equal(user.username);
+
+        done();
+      });
+    });
+  });
+
+  describe('with account lockout', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        lockout: { attempts: 2 }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, function (err, doc) {
+          user.id = doc.id;
+
+          done(err);
+        });
+      });
+    });
+
+    it('should append lockout paths, statics and methods', function () {
+      expect(User.schema.path('failedAttempts')).not.to.be.undefined;
+      expect(User.schema.path('lockUntil')).not.to.be.undefined;
+      expect(User.unlock).to.be.a('function');
+      expect(new User().unlock).to.be.a('function');
+    });
+
+    it('should not append lockout paths, statics and methods by default', function () {
+      const schema = userSchema();
+      schema.plugin(auth);
+
+      expect(schema.path('failedAttempts')).to.be.undefined;
+      expect(schema.path('lockUntil')).to.be.undefined;
+      expect(schema.statics.unlock).to.be.undefined;
+      expect(schema.methods.unlock).to.be.undefined;
+    });
+
+    it('should count a failed authentication', function (done) {
+      User.authenticate(user.username, faker.internet.password(), function (err) {
+        expect(err.message).to.be.equal('Incorrect passphrase');
+
+        User.findById(user.id, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.failedAttempts).to.be.equal(1);
+          expect(doc.lockUntil).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should reset the failed authentications upon success', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+
+        User.findById(user.id, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.failedAttempts).to.be.equal(0);
+
+          done();
+        });
+      });
+    });
+
+    it('should lock the account after repeated failed authentications', function (done) {
+      User.authenticate(user.username, faker.internet.password(), function () {
+        User.authenticate(user.username, faker.internet.password(), function (err) {
+          expect(err.message).to.be.equal('Incorrect passphrase');
+
+          User.findById(user.id, function (err, doc) {
+            expect(err).to.be.null;
+            expect(doc.failedAttempts).to.be.equal(2);
+            expect(doc.lockUntil).to.be.a('date');
+            expect(doc.lockUntil.getTime()).to.be.within(Date.now() + 14 * 60 * 1000, Date.now() + 15 * 60 * 1000);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not authenticate a locked account', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Account is locked');
+        expect(doc).to.be.undefined;
+
+        User.findById(user.id, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.failedAttempts).to.be.equal(2);
+
+          doc.authenticate(user.password, function (err, doc) {
+            expect(err).not.to.be.null;
+            expect(err.message).to.be.equal('Account is locked');
+            expect(doc).to.be.undefined;
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should unlock an account using the static', function (done) {
+      User.unlock(user.username, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.failedAttempts).to.be.equal(0);
+        expect(doc.lockUntil).to.be.undefined;
+
+        User.authenticate(user.username, user.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
+
+          done();
+        });
+      });
+    });
+
+    it('should not unlock an unknown user', function (done) {
+      User.unlock(faker.internet.userName(), function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Unknown username');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should unlock an account using the method', function (done) {
+      User.collection.update({ username: user.username }, {
+        $set: { failedAttempts: 2, lockUntil: new Date(Date.now() + 60000) }
+      }, function (err) {
+        expect(err).to.be.null;
+
+        User.findById(user.id, function (err, doc) {
+          expect(err).to.be.null;
+
+          doc.unlock().then(function (doc) {
+            expect(doc.failedAttempts).to.be.equal(0);
+            expect(doc.lockUntil).to.be.undefined;
+
+            return User.authenticate(user.username, user.password);
+          }).then(function (doc) {
+            expect(doc).to.be.an('object');
+
+            done();
+          }).catch(done);
+        });
+      });
+    });
+
+    it('should lock with exponential backoff', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        lockout: { attempts: 1, duration: 60000, backoff: true }
+      });
+
+      const Backoff = connection.model('UserBackoff', schema, 'User');
+
+      Backoff.authenticate(user.username, faker.internet.password(), function () {
+        // Expire the lock
+        Backoff.collection.update({ username: user.username }, {
+          $set: { lockUntil: new Date(Date.now() - 1) }
+        }, function (err) {
+          expect(err).to.be.null;
+
+          Backoff.authenticate(user.username, faker.internet.password(), function (err) {
+            expect(err.message).to.be.equal('Incorrect passphrase');
+
+            Backoff.findById(user.id, function (err, doc) {
+              expect(err).to.be.null;
+              expect(doc.failedAttempts).to.be.equal(2);
+              expect(doc.lockUntil.getTime()).to.be.within(Date.now() + 110000, Date.now() + 120000);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should lock a document kept across failed authentications', function () {
+      let doc;
+
+      return User.unlock(user.username).then(function () {
+        return User.findById(user.id).exec();
+      }).then(function (result) {
+        doc = result;
+
+        return doc.authenticate(faker.internet.password()).catch(function (err) {
+          expect(err.message).to.be.equal('Incorrect passphrase');
+          expect(doc.failedAttempts).to.be.equal(1);
+
+          return doc.authenticate(faker.internet.password());
+        });
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Incorrect passphrase');
+        expect(doc.lockUntil).to.be.a('date');
+        expect(doc.isModified()).to.be.false;
+
+        return doc.authenticate(user.password);
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Account is locked');
+      });
+    });
+  });
+
+  describe('with passphrase reset tokens', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        resetToken: { ttl: 60000 }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, function (err, doc) {
+          user.id = doc.id;
+
+          done(err);
+        });
+      });
+    });
+
+    it('should append reset token paths and statics', function () {
+      expect(User.schema.path('resetToken')).not.to.be.undefined;
+      expect(User.schema.path('resetTokenExpires')).not.to.be.undefined;
+      expect(User.createResetToken).to.be.a('function');
+      expect(User.resetPassphrase).to.be.a('function');
+    });
+
+    it('should not create a reset token for an unknown user', function (done) {
+      User.createResetToken(faker.internet.userName(), function (err, token) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Unknown username');
+        expect(token).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should not reveal an unknown user with generic credential errors', function () {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        resetToken: { ttl: 60000 },
+        credentials: { generic: true }
+      });
+
+      const Generic = connection.model('UserResetGeneric', schema, 'User');
+
+      return Generic.createResetToken(faker.internet.userName()).then(function (token) {
+        expect(token).to.be.undefined;
+
+        return Generic.createResetToken(user.username);
+      }).then(function (token) {
+        expect(token).to.match(/^[0-9a-f]{64}$/);
+      });
+    });
+
+    it('should create a hashed reset token', function (done) {
+      User.createResetToken(user.username, function (err, token) {
+        expect(err).to.be.null;
+        expect(token).to.match(/^[0-9a-f]{64}$/);
+
+        User.findById(user.id, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.resetToken).to.be.a('string');
+          expect(doc.resetToken).not.to.be.equal(token);
+          expect(doc.resetTokenExpires.getTime()).to.be.within(Date.now(), Date.now() + 60000);
+
+          user.token = token;
+
+          done();
+        });
+      });
+    });
+
+    it('should not reset the passphrase with an unspecified token', function (done) {
+      User.resetPassphrase(undefined, faker.internet.password(), function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Reset token was not specified');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should not reset the passphrase with an incorrect token', function (done) {
+      User.resetPassphrase(crypto.randomBytes(32).toString('hex'), faker.internet.password(), function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Invalid reset token');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should reset the passphrase and invalidate the token', function (done) {
+      const password = faker.internet.password();
+
+      User.resetPassphrase(user.token, password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+        expect(doc.id).to.be.equal(user.id);
+        expect(doc.resetToken).to.be.undefined;
+        expect(doc.resetTokenExpires).to.be.undefined;
+
+        User.authenticate(user.username, password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
+
+          user.password = password;
+
+          done();
+        });
+      });
+    });
+
+    it('should not reset the passphrase with a used token', function () {
+      return User.resetPassphrase(user.token, faker.internet.password()).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Invalid reset token');
+      });
+    });
+
+    it('should not reset the passphrase with an expired token', function () {
+      return User.createResetToken(user.username).then(function (token) {
+        return User.collection.update({ username: user.username }, {
+          $set: { resetTokenExpires: new Date(Date.now() - 1) }
+        }).then(function () {
+          return User.resetPassphrase(token, faker.internet.password());
+        });
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Invalid reset token');
+      });
+    });
+
+    it('should keep the token if the new passphrase is rejected', function () {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        resetToken: { ttl: 60000 },
+        passphrase: { policy: { minLength: 8 } },
+        history: { len: 2 }
+      });
+
+      const Checked = model(connection, 'User', schema);
+      const password = faker.internet.password(12);
+      let token;
+
+      return Checked.createResetToken(user.username).then(function (result) {
+        token = result;
+
+        return Checked.resetPassphrase(token, 'short');
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }, function (err) {
+        expect(err.name).to.be.equal('ValidationError');
+        expect(err.errors.passphrase.kind).to.be.equal('minLength');
+
+        // Reusing the current passphrase
+        return Checked.resetPassphrase(token, user.password);
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }, function (err) {
+        expect(err.name).to.be.equal('ValidationError');
+        expect(err.errors.passphrase.kind).to.be.equal('history');
+
+        return Checked.resetPassphrase(token, password);
+      }).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+
+        user.password = password;
+
+        return Checked.authenticate(user.username, password);
+      }).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+      });
+    });
+  });
+
+  describe('with passphrase policy', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        passphrase: {
+          policy: {
+            minLength: 8,
+            maxLength: 64,
+            lowercase: 1,
+            uppercase: 1,
+            digits: 1,
+            symbols: 1,
+            denylist: ['Passw0rd!'],
+            username: true,
+            validator: function (passphrase) {
+              return passphrase.indexOf('forbidden') === -1 || 'Passphrase is forbidden';
+            }
+          }
+        }
+      });
+
+      user = {
+        username: 'tom',
+        password: 'Secr3t pass'
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(done);
+    });
+
+    [
+      ['minLength', 'Sh0rt!'],
+      ['maxLength', 'L0ng!' + Array(64).join('x')],
+      ['lowercase', 'NO LOWERCASE 1'],
+      ['uppercase', 'no uppercase 1'],
+      ['digits', 'No digits here'],
+      ['symbols', 'NoSymbols123'],
+      ['denylist', 'pASSW0RD!'],
+      ['username', 'My name is Tom 1'],
+      ['validator', 'Very forbidden 1']
+    ].forEach(function (rule) {
+      it('should not register a new user with a passphrase violating `' + rule[0] + '`', function (done) {
+        User.register(user.username, rule[1], function (err, doc) {
+          expect(err).not.to.be.null;
+          expect(err.name).to.be.equal('ValidationError');
+          expect(err.errors).to.have.all.keys('passphrase');
+          expect(err.errors.passphrase.kind).to.be.equal(rule[0]);
+          expect(err.errors.passphrase.value).to.be.undefined;
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should report a custom validator message', function (done) {
+      User.register(user.username, 'Very forbidden 1', function (err) {
+        expect(err.errors.passphrase.message).to.be.equal('Passphrase is forbidden');
+
+        done();
+      });
+    });
+
+    it('should register a new user with a passphrase meeting the policy', function (done) {
+      User.register(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+
+        done();
+      });
+    });
+
+    it('should not update the passphrase violating the policy', function (done) {
+      User.setPassphrase(user.username, user.password, 'weak', function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.name).to.be.equal('ValidationError');
+        expect(err.errors.passphrase.kind).to.be.equal('minLength');
+        expect(doc).to.be.undefined;
+
+        User.authenticate(user.username, user.password, function (err, doc) {
+          expect(err).to.be.null;
+
+          doc.setPassphrase('n0Symbols1').then(function () {
+            // Shouldn't get here
+            throw new Error('Test failed');
+          }).catch(function (err) {
+            expect(err.name).to.be.equal('ValidationError');
+            expect(err.errors.passphrase.kind).to.be.equal('symbols');
+
+            done();
+          }).catch(done);
+        });
+      });
+    });
+
+    it('should re-hash a passphrase set before the policy was tightened', function () {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        passphrase: { policy: { minLength: 16 } },
+        hash: { iterations: 30000 }
+      });
+
+      const Tightened = connection.model('UserPolicyTightened', schema, 'User');
+
+      return Tightened.authenticate(user.username, user.password).then(function (doc) {
+        expect(doc.username).to.be.equal(user.username);
+
+        return Tightened.findById(doc._id).select('+passphrase');
+      }).then(function (doc) {
+        expect(doc.passphrase).to.match(/^\$pbkdf2-sha512\$i=30000,/);
+      });
+    });
+
+    it('should not keep the salt ignored after a violation', function () {
+      const doc = new User({ username: faker.internet.userName(), passphrase: 'weak' });
+
+      return doc.save().then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }, function (err) {
+        expect(err.errors).to.have.all.keys('passphrase');
+
+        doc.passphrase = user.password + 'x';
+
+        return doc.save();
+      }).then(function () {
+        return User.findById(doc._id).select('+passphrase +salt');
+      }).then(function (stored) {
+        expect(stored.passphrase).to.be.a('string');
+        expect(stored.salt).to.be.a('string');
+      });
+    });
+
+    it('should not register a new user with an empty passphrase by default', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth);
+
+      const Default = connection.model('UserPolicyDefault', schema, 'User');
+
+      Default.register(faker.internet.userName(), '', function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.errors.passphrase.kind).to.be.equal('minLength');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+  });
+
+  describe('with passphrase history', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        history: { len: 2 }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        passwords: Array(4).join('.').split('.').map(function () {
+          return faker.internet.password();
+        })
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.passwords[0], done);
+      });
+    });
+
+    it('should append the history path', function () {
+      expect(User.schema.path('passphraseHistory')).not.to.be.undefined;
+    });
+
+    it('should not append the history path by default', function () {
+      const schema = userSchema();
+      schema.plugin(auth);
+
+      expect(schema.path('passphraseHistory')).to.be.undefined;
+    });
+
+    it('should not update the passphrase to the current passphrase', function (done) {
+      User.setPassphrase(user.username, user.passwords[0], user.passwords[0], function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.name).to.be.equal('ValidationError');
+        expect(err.errors.passphrase.kind).to.be.equal('history');
+        expect(err.errors.passphrase.message).to.be.equal('Passphrase was used previously');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should retain previous passphrases', function (done) {
+      User.setPassphrase(user.username, user.passwords[0], user.passwords[1], function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.passphraseHistory).to.have.length(1);
+
+        User.setPassphrase(user.username, user.passwords[1], user.passwords[2], function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.passphraseHistory).to.have.length(2);
+          expect(doc.passphraseHistory[0]).to.match(/^\$pbkdf2-sha512\$/);
+
+          done();
+        });
+      });
+    });
+
+    it('should not update the passphrase to a retained passphrase', function (done) {
+      User.authenticate(user.username, user.passwords[2], function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.setPassphrase(user.passwords[0], function (err, doc) {
+          expect(err).not.to.be.null;
+          expect(err.errors.passphrase.kind).to.be.equal('history');
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should only retain the configured number of passphrases', function (done) {
+      User.setPassphrase(user.username, user.passwords[2], user.passwords[3], function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.passphraseHistory).to.have.length(2);
+
+        // passwords[0] is no longer retained
+        User.setPassphrase(user.username, user.passwords[3], user.passwords[0], function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
+
+          done();
+        });
+      });
+    });
+
+    it('should not retain a passphrase re-hashed upon authentication', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        history: { len: 2 },
+        hash: { iterations: 30000 }
+      });
+
+      const Upgraded = connection.model('UserHistoryRehash', schema, 'User');
+
+      Upgraded.findOne({ username: user.username }, function (err, doc) {
+        const history = doc.passphraseHistory.toObject();
+
+        expect(err).to.be.null;
+
+        Upgraded.authenticate(user.username, user.passwords[0], function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.passphrase).to.match(/^\$pbkdf2-sha512\$i=30000,/);
+
+          Upgraded.findById(doc.id, function (err, doc) {
+            expect(err).to.be.null;
+            expect(doc.passphraseHistory.toObject()).to.be.deep.equal(history);
+
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe('with passphrase expiry', function () {
+    let User;
+    let Rejecting;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        expiry: { enabled: true, maxAge: 60000 }
+      });
+
+      const rejectingSchema = userSchema();
+      rejectingSchema.plugin(auth, {
+        expiry: { enabled: true, maxAge: 60000, reject: true }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+      Rejecting = connection.model('UserExpiryReject', rejectingSchema, 'User');
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, function (err, doc) {
+          user.id = doc.id;
+
+          done(err);
+        });
+      });
+    });
+
+    it('should append expiry paths and methods', function () {
+      expect(User.schema.path('passphraseChangedAt')).not.to.be.undefined;
+      expect(User.schema.path('mustChangePassphrase')).not.to.be.undefined;
+      expect(new User().isPassphraseChangeRequired).to.be.a('function');
+    });
+
+    it('should record when the passphrase was changed', function (done) {
+      User.findById(user.id, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.passphraseChangedAt).to.be.a('date');
+        expect(doc.mustChangePassphrase).to.be.false;
+        expect(doc.isPassphraseChangeRequired()).to.be.false;
+
+        done();
+      });
+    });
+
+    it('should flag an expired passphrase upon authentication', function (done) {
+      User.collection.update({ username: user.username }, {
+        $set: { passphraseChangedAt: new Date(Date.now() - 60000) }
+      }, function (err) {
+        expect(err).to.be.null;
+
+        User.authenticate(user.username, user.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
+          expect(doc.isPassphraseChangeRequired()).to.be.true;
+
+          done();
+        });
+      });
+    });
+
+    it('should reject an expired passphrase upon authentication', function (done) {
+      Rejecting.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Passphrase has expired');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should update an expired passphrase', function (done) {
+      const password = faker.internet.password();
+
+      Rejecting.setPassphrase(user.username, user.password, password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.passphraseChangedAt.getTime()).to.be.within(Date.now() - 5000, Date.now());
+        expect(doc.isPassphraseChangeRequired()).to.be.false;
+
+        user.password = password;
+
+        done();
+      });
+    });
+
+    it('should flag a forced passphrase change upon authentication', function (done) {
+      User.findById(user.id, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.mustChangePassphrase = true;
+
+        doc.save(function (err) {
+          expect(err).to.be.null;
+
+          User.authenticate(user.username, user.password, function (err, doc) {
+            expect(err).to.be.null;
+            expect(doc.isPassphraseChangeRequired()).to.be.true;
+
+            Rejecting.authenticate(user.username, user.password, function (err, doc) {
+              expect(err).not.to.be.null;
+              expect(err.message).to.be.equal('Passphrase change is required');
+              expect(doc).to.be.undefined;
+
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should clear a forced passphrase change when updating the passphrase', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.setPassphrase(faker.internet.password(), function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.mustChangePassphrase).to.be.false;
+          expect(doc.isPassphraseChangeRequired()).to.be.false;
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('with TOTP two-factor authentication', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        totp: { enabled: true, key: 'test key', issuer: 'Test App' }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, done);
+      });
+    });
+
+    it('should require a key', function () {
+      expect(function () {
+        userSchema().plugin(auth, { totp: { enabled: true } });
+      }).to.throw('A key is required for encrypting TOTP secrets');
+    });
+
+    it('should append TOTP paths and methods', function () {
+      const doc = new User();
+
+      expect(User.schema.path('totpSecret')).not.to.be.undefined;
+      expect(User.schema.path('totpEnabled')).not.to.be.undefined;
+      expect(User.schema.path('totpCounter')).not.to.be.undefined;
+      expect(doc.enableTotp).to.be.a('function');
+      expect(doc.verifyTotp).to.be.a('function');
+      expect(doc.totpUri).to.be.a('function');
+    });
+
+    it('should not verify a code without a TOTP secret', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.verifyTotp('123456', function (err, doc) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Two-factor authentication is not set up');
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should enrol a user', function (done) {
+      User.findOne({ username: user.username }, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.enableTotp(function (err, enrolment) {
+          expect(err).to.be.null;
+          expect(enrolment.secret).to.match(/^[A-Z2-7]{32}$/);
+          expect(enrolment.uri).to.be.equal(
+            'otpauth://totp/Test%20App:' + encodeURIComponent(user.username) +
+            '?secret=' + enrolment.secret + '&issuer=Test%20App&algorithm=SHA1&digits=6&period=30'
+          );
+          expect(doc.totpSecret).not.to.contain(enrolment.secret);
+          expect(doc.totpEnabled).to.be.false;
+          expect(doc.totpUri()).to.be.equal(enrolment.uri);
+
+          user.secret = enrolment.secret;
+
+          done();
+        });
+      });
+    });
+
+    it('should authenticate before enrolment is completed', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+
+        done();
+      });
+    });
+
+    it('should not verify an incorrect code', function (done) {
+      User.findOne({ username: user.username }, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.verifyTotp(totp(user.secret, -5), function (err, doc) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Incorrect verification code');
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should complete enrolment with a correct code', function (done) {
+      User.findOne({ username: user.username }, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.verifyTotp(totp(user.secret, -1), function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.totpEnabled).to.be.true;
+
+          done();
+        });
+      });
+    });
+
+    it('should report a pending second factor upon authentication', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Second factor is required');
+        expect(err.user).to.be.an('object');
+        expect(err.user.username).to.be.equal(user.username);
+        expect(err.user.totpUri()).to.contain(':' + encodeURIComponent(user.username) + '?');
+        expect(doc).to.be.undefined;
+
+        err.user.verifyTotp(totp(user.secret), function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
+
+          done();
+        });
+      });
+    });
+
+    it('should not verify a used code', function (done) {
+      User.findOne({ username: user.username }, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.verifyTotp(totp(user.secret), function (err, doc) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Incorrect verification code');
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should not verify a code of an earlier time step than a used code', function () {
+      return User.findOne({ username: user.username }).then(function (doc) {
+        return doc.verifyTotp(totp(user.secret, -1));
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Incorrect verification code');
+      });
+    });
+
+    it('should verify a code for a user loaded without the TOTP secret', function () {
+      return User.findOne({ username: user.username }).select('username').then(function (doc) {
+        expect(doc.isSelected('totpSecret')).to.be.false;
+
+        return doc.verifyTotp(totp(user.secret, 1));
+      }).then(function (doc) {
+        expect(doc.username).to.be.equal(user.username);
+      });
+    });
+
+    it('should require a code to set the passphrase of an enrolled user', function () {
+      const username = faker.internet.userName();
+      const password = faker.internet.password();
+      const newPassword = faker.internet.password();
+      let secret;
+
+      return User.register(username, password).then(function (doc) {
+        return doc.enableTotp();
+      }).then(function (enrolment) {
+        secret = enrolment.secret;
+
+        return User.findOne({ username: username });
+      }).then(function (doc) {
+        return doc.verifyTotp(totp(secret, -1));
+      }).then(function () {
+        return User.setPassphrase(username, password, newPassword);
+      }).catch(function (err) {
+        expect(err.code).to.be.equal('SECOND_FACTOR_REQUIRED');
+
+        return User.setPassphrase({ username: username, passphrase: password, newPassphrase: newPassword, code: totp(secret, -5) });
+      }).catch(function (err) {
+        expect(err.code).to.be.equal('INCORRECT_VERIFICATION_CODE');
+
+        return User.setPassphrase({ username: username, passphrase: password, newPassphrase: newPassword, code: totp(secret) });
+      }).then(function (doc) {
+        expect(doc.username).to.be.equal(username);
+
+        return User.authenticate(username, newPassword);
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }, function (err) {
+        // Authenticated with the new passphrase
+        expect(err.code).to.be.equal('SECOND_FACTOR_REQUIRED');
+      });
+    });
+
+    describe('and lockout', function () {
+      let Locked;
+      let lockedUser;
+
+      before(function () {
+        const schema = userSchema();
+        schema.plugin(auth, {
+          totp: { enabled: true, key: 'test key' },
+          lockout: { attempts: 2 }
+        });
+
+        lockedUser = {
+          username: faker.internet.userName(),
+          password: faker.internet.password()
+        };
+
+        Locked = model(connection, 'User', schema);
+
+        return Locked.register(lockedUser.username, lockedUser.password).then(function (doc) {
+          return doc.enableTotp();
+        }).then(function (enrolment) {
+          lockedUser.secret = enrolment.secret;
+
+          return Locked.findOne({ username: lockedUser.username });
+        }).then(function (doc) {
+          return doc.verifyTotp(totp(lockedUser.secret, -1));
+        });
+      });
+
+      it('should lock a user after repeated incorrect codes', function () {
+        return Locked.authenticate(lockedUser.username, lockedUser.password).catch(function (err) {
+          expect(err.code).to.be.equal('SECOND_FACTOR_REQUIRED');
+
+          const doc = err.user;
+
+          return doc.verifyTotp(totp(lockedUser.secret, -5)).catch(function (err) {
+            expect(err.code).to.be.equal('INCORRECT_VERIFICATION_CODE');
+
+            return doc.verifyTotp(totp(lockedUser.secret, -5));
+          }).catch(function (err) {
+            expect(err.code).to.be.equal('INCORRECT_VERIFICATION_CODE');
+
+            // The user loaded before the lock is rejected even with a correct code
+            return doc.verifyTotp(totp(lockedUser.secret));
+          });
+        }).then(function () {
+          // Shouldn't get here
+          throw new Error('Test failed');
+        }, function (err) {
+          expect(err).to.be.an.instanceof(auth.AccountLockedError);
+          expect(err.code).to.be.equal('ACCOUNT_LOCKED');
+        });
+      });
+    });
+  });
+
+  describe('with recovery codes', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        recoveryCodes: { enabled: true }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, function (err, doc) {
+          user.id = doc.id;
+
+          done(err);
+        });
+      });
+    });
+
+    it('should append the recovery codes path and methods', function () {
+      const doc = new User();
+
+      expect(User.schema.path('recoveryCodes')).not.to.be.undefined;
+      expect(doc.generateRecoveryCodes).to.be.a('function');
+      expect(doc.useRecoveryCode).to.be.a('function');
+    });
+
+    it('should generate hashed recovery codes', function (done) {
+      User.findById(user.id, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.generateRecoveryCodes(function (err, codes) {
+          expect(err).to.be.null;
+          expect(codes).to.have.length(10);
+          codes.forEach(function (code) {
+            expect(code).to.match(/^[a-z2-7]{5}-[a-z2-7]{5}$/);
+          });
+
+          User.findById(user.id, function (err, doc) {
+            expect(err).to.be.null;
+            expect(doc.recoveryCodes).to.have.length(10);
+            doc.recoveryCodes.forEach(function (hash) {
+              expect(hash).to.match(/^\$pbkdf2-sha512\$/);
+            });
+
+            user.codes = codes;
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should generate the specified number of recovery codes', function () {
+      return User.findById(user.id).then(function (doc) {
+        return doc.generateRecoveryCodes(3);
+      }).then(function (codes) {
+        expect(codes).to.have.length(3);
+
+        user.codes = codes;
+      });
+    });
+
+    it('should not use a missing recovery code', function (done) {
+      User.findById(user.id, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.useRecoveryCode(undefined, function (err, doc) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Recovery code was not specified');
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should not use an incorrect recovery code', function (done) {
+      User.findById(user.id, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.useRecoveryCode('aaaaa-aaaaa', function (err, doc) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Incorrect recovery code');
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should use a recovery code', function (done) {
+      User.findById(user.id, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.useRecoveryCode(user.codes[0].toUpperCase(), function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.id).to.be.equal(user.id);
+
+          User.findById(user.id, function (err, doc) {
+            expect(err).to.be.null;
+            expect(doc.recoveryCodes).to.have.length(2);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not use a recovery code twice', function (done) {
+      User.findById(user.id, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.useRecoveryCode(user.codes[0], function (err, doc) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Incorrect recovery code');
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should only use a recovery code once for concurrent requests', function () {
+      return Promise.all([User.findById(user.id), User.findById(user.id)]).then(function (docs) {
+        return Promise.all(docs.map(function (doc) {
+          return doc.useRecoveryCode(user.codes[1]).then(function () {
+            return true;
+          }, function (err) {
+            expect(err.message).to.be.equal('Incorrect recovery code');
+
+            return false;
+          });
+        }));
+      }).then(function (results) {
+        expect(results.filter(Boolean)).to.have.length(1);
+      });
+    });
+
+    it('should use a recovery code for an authenticated user', function () {
+      return User.authenticate(user.username, user.password).then(function (doc) {
+        return doc.useRecoveryCode(user.codes[2]);
+      }).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+      });
+    });
+
+    it('should use a recovery code for a user loaded without the recovery codes', function () {
+      return User.findById(user.id).then(function (doc) {
+        return doc.generateRecoveryCodes(1);
+      }).then(function (codes) {
+        user.codes = codes;
+
+        return User.findById(user.id).select('username');
+      }).then(function (doc) {
+        expect(doc.isSelected('recoveryCodes')).to.be.false;
+
+        return doc.useRecoveryCode(user.codes[0]);
+      }).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+      });
+    });
+
+    describe('and lockout', function () {
+      let Locked;
+      let lockedUser;
+
+      before(function () {
+        const schema = userSchema();
+        schema.plugin(auth, {
+          recoveryCodes: { enabled: true },
+          lockout: { attempts: 2 }
+        });
+
+        lockedUser = {
+          username: faker.internet.userName(),
+          password: faker.internet.password()
+        };
+
+        Locked = model(connection, 'User', schema);
+
+        return Locked.register(lockedUser.username, lockedUser.password).then(function (doc) {
+          return doc.generateRecoveryCodes(2);
+        }).then(function (codes) {
+          lockedUser.codes = codes;
+        });
+      });
+
+      it('should reset the failed attempts upon using a recovery code', function () {
+        return Locked.findOne({ username: lockedUser.username }).then(function (doc) {
+          return doc.useRecoveryCode('aaaaa-aaaaa').catch(function (err) {
+            expect(err.code).to.be.equal('INCORRECT_RECOVERY_CODE');
+
+            return doc.useRecoveryCode(lockedUser.codes[0]);
+          });
+        }).then(function () {
+          return Locked.findOne({ username: lockedUser.username });
+        }).then(function (doc) {
+          expect(doc.failedAttempts).to.be.equal(0);
+        });
+      });
+
+      it('should lock a user after repeated incorrect recovery codes', function () {
+        return Locked.findOne({ username: lockedUser.username }).then(function (doc) {
+          return doc.useRecoveryCode('aaaaa-aaaaa').catch(function (err) {
+            expect(err.code).to.be.equal('INCORRECT_RECOVERY_CODE');
+
+            return doc.useRecoveryCode(lockedUser.codes[0]);
+          }).catch(function (err) {
+            // A used code is incorrect
+            expect(err.code).to.be.equal('INCORRECT_RECOVERY_CODE');
+
+            return doc.useRecoveryCode(lockedUser.codes[1]);
+          });
+        }).then(function () {
+          // Shouldn't get here
+          throw new Error('Test failed');
+        }, function (err) {
+          expect(err).to.be.an.instanceof(auth.AccountLockedError);
+          expect(err.code).to.be.equal('ACCOUNT_LOCKED');
+
+          return Locked.findOne({ username: lockedUser.username });
+        }).then(function (doc) {
+          // The code of the locked attempt is kept
+          expect(doc.recoveryCodes).to.have.length(1);
+        });
+      });
+    });
+  });
+
+  describe('with a pepper', function () {
+    const keys = { v1: 'first pepper', v2: 'second pepper' };
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth);
+
+      const User = connection.model('UserNoPepper', schema, 'User');
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, done);
+      });
+    });
+
+    it('should not allow an unknown current pepper version', function () {
+      expect(function () {
+        userSchema().plugin(auth, { pepper: { keys: keys, current: 'v3' } });
+      }).to.throw('Unknown current pepper version: v3');
+    });
+
+    it('should append the pepper version path and static', function () {
+      const schema = userSchema();
+      schema.plugin(auth, { pepper: { keys: keys, current: 'v1' } });
+
+      const User = connection.model('UserPepperV1', schema, 'User');
+
+      expect(schema.path('pepperVersion')).not.to.be.undefined;
+      expect(User.countPepperVersions).to.be.a('function');
+    });
+
+    it('should register a new user with the current pepper', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, { pepper: { keys: keys, current: 'v1' } });
+
+      const User = connection.model('UserPepperV1', schema, 'User');
+      const other = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User.register(other.username, other.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.pepperVersion).to.be.equal('v1');
+
+        User.authenticate(other.username, other.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
+
+          done();
+        });
+      });
+    });
+
+    it('should upgrade a user without a pepper upon authentication', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, { pepper: { keys: keys, current: 'v1' } });
+
+      const User = connection.model('UserPepperV1', schema, 'User');
+
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.pepperVersion).to.be.equal('v1');
+
+        User.authenticate(user.username, user.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc).to.be.an('object');
+
+          done();
+        });
+      });
+    });
+
+    it('should not authenticate a peppered user without the pepper', function (done) {
+      const User = connection.model('UserNoPepper');
+
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Incorrect passphrase');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should upgrade a user to a rotated pepper upon authentication', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, { pepper: { keys: keys, current: 'v2' } });
+
+      const User = connection.model('UserPepperV2', schema, 'User');
+
+      User.authenticate(user.username, faker.internet.password(), function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Incorrect passphrase');
+        expect(doc).to.be.undefined;
+
+        User.authenticate(user.username, user.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.pepperVersion).to.be.equal('v2');
+
+          done();
+        });
+      });
+    });
+
+    it('should count accounts by pepper version', function () {
+      const User = connection.model('UserPepperV2');
+
+      return User.countPepperVersions().then(function (counts) {
+        expect(counts).to.be.deep.equal({ v1: 1, v2: 1 });
+      });
+    });
+  });
+
+  describe('with multiple usernames', function () {
+    let User;
+    let user;
+    let other;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        username: {
+          path: ['username', { path: 'email', options: { lowercase: true } }]
+        }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        email: faker.internet.email().toLowerCase(),
+        password: faker.internet.password()
+      };
+
+      other = {
+        username: faker.internet.userName(),
+        email: faker.internet.email().toLowerCase(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, { email: user.email }, function (err) {
+          if (err) { return done(err); }
+
+          // Uses the other user's username as an email
+          User.register(other.username, other.password, { email: user.username }, done);
+        });
+      });
+    });
+
+    it('should append a path for each username', function () {
+      expect(User.schema.path('username')).not.to.be.undefined;
+      expect(User.schema.path('email')).not.to.be.undefined;
+      expect(User.schema.path('email').options.lowercase).to.be.true;
+      expect(User.schema.path('email').options.unique).to.be.true;
+    });
+
+    it('should authenticate with the username', function (done) {
+      User.authenticate(other.username, other.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.username).to.be.equal(other.username);
+
+        done();
+      });
+    });
+
+    it('should authenticate with the email', function (done) {
+      User.authenticate(user.email.toUpperCase(), user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.username).to.be.equal(user.username);
+
+        done();
+      });
+    });
+
+    it('should not authenticate an unknown username', function (done) {
+      User.authenticate(faker.internet.email(), user.password, function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Unknown username');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should not authenticate a username matching multiple users', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Username matches multiple accounts');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+  });
+
+  describe('with username normalization', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        username: { normalize: ['nfkc', 'lowercase'] }
+      });
+
+      user = {
+        username: 'Ｔｏｍ' + faker.random.number(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, done);
+      });
+    });
+
+    it('should not allow an unsupported normalization', function () {
+      expect(function () {
+        userSchema().plugin(auth, { username: { normalize: 'uppercase' } });
+      }).to.throw('Unsupported username normalization: uppercase');
+    });
+
+    it('should normalize the username upon registration', function (done) {
+      User.findOne({ username: user.username.normalize('NFKC').toLowerCase() }, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+
+        done();
+      });
+    });
+
+    it('should normalize the username upon authentication', function (done) {
+      User.authenticate(user.username.normalize('NFKC').toUpperCase(), user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.username).to.be.equal(user.username.normalize('NFKC').toLowerCase());
+
+        done();
+      });
+    });
+
+    it('should not register a username differing only by normalization', function (done) {
+      User.register(user.username.normalize('NFKC'), user.password, function (err, doc) {
+        expect(err).not.to.be.null;
+        expect(err.code).to.be.equal('DUPLICATE_USER');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should normalize the username with a custom function', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        username: {
+          normalize: function (username) {
+            return username.replace(/\./g, '');
+          }
+        }
+      });
+
+      const User = connection.model('UserCustomNormalize', schema, 'User');
+
+      User.register('j.e.r.r.y', user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.username).to.be.equal('jerry');
+
+        User.authenticate('jer.ry', user.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.username).to.be.equal('jerry');
+
+          done();
+        });
+      });
+    });
+
+    describe('with a collation', function () {
+      let User;
+
+      before(function (done) {
+        const schema = userSchema();
+        schema.plugin(auth, {
+          username: { collation: { locale: 'en', strength: 2 } }
+        });
+
+        User = model(connection, 'UserCollation', schema);
+
+        User.collection.remove(function () {
+          User.ensureIndexes(function (err) {
+            if (err) { return done(err); }
+
+            User.register('Tom', user.password, done);
+          });
+        });
+      });
+
+      it('should not register a username differing only by case', function (done) {
+        User.register('tom', user.password, function (err, doc) {
+          expect(err).not.to.be.null;
+          expect(err.code).to.be.equal('DUPLICATE_USER');
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+
+      it('should authenticate regardless of case', function (done) {
+        User.authenticate('TOM', user.password, function (err, doc) {
+          expect(err).to.be.null;
+          expect(doc.username).to.be.equal('Tom');
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('with authentication events', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        lockout: { attempts: 2 },
+        audit: { enabled: true, collection: 'authaudittest' }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(done);
+    });
+
+    afterEach(function () {
+      ['auth:register', 'auth:success', 'auth:failure', 'auth:locked', 'auth:passphraseChanged'].forEach(function (event) {
+        User.removeAllListeners(event);
+      });
+    });
+
+    it('should emit an event upon registration', function (done) {
+      User.once('auth:register', function (event) {
+        expect(event.user).to.be.an('object');
+        expect(event.username).to.be.equal(user.username);
+        expect(event.timestamp).to.be.a('date');
+      });
+
+      User.register(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(User.listenerCount('auth:register')).to.be.equal(0);
+
+        user.id = doc.id;
+
+        done();
+      });
+    });
+
+    it('should emit an event upon authentication with the context', function (done) {
+      User.once('auth:success', function (event) {
+        expect(event.user.id).to.be.equal(user.id);
+        expect(event.username).to.be.equal(user.username);
+        expect(event.context).to.be.deep.equal({ ip: '127.0.0.1' });
+      });
+
+      User.authenticate(user.username, user.password, { ip: '127.0.0.1' }, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.an('object');
+        expect(User.listenerCount('auth:success')).to.be.equal(0);
+
+        done();
+      });
+    });
+
+    it('should emit an event with the reason for an unknown username', function (done) {
+      User.once('auth:failure', function (event) {
+        expect(event.user).to.be.undefined;
+        expect(event.reason).to.be.equal('unknownUsername');
+        expect(event.error.message).to.be.equal('Unknown username');
+      });
+
+      User.authenticate(faker.internet.userName(), user.password, function (err) {
+        expect(err).not.to.be.null;
+        expect(User.listenerCount('auth:failure')).to.be.equal(0);
+
+        done();
+      });
+    });
+
+    it('should emit events for an incorrect passphrase and a locked user', function (done) {
+      const reasons = [];
+
+      User.on('auth:failure', function (event) {
+        expect(event.user.id).to.be.equal(user.id);
+
+        reasons.push(event.reason);
+      });
+
+      User.once('auth:locked', function (event) {
+        expect(event.user.id).to.be.equal(user.id);
+        expect(event.lockUntil).to.be.a('date');
+
+        reasons.push('lockedEvent');
+      });
+
+      User.authenticate(user.username, faker.internet.password(), function () {
+        User.authenticate(user.username, faker.internet.password(), function () {
+          User.authenticate(user.username, user.password, function (err) {
+            expect(err).not.to.be.null;
+            expect(reasons).to.be.deep.equal([
+              'incorrectPassphrase',
+              'lockedEvent',
+              'incorrectPassphrase',
+              'locked'
+            ]);
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should emit an event upon setting a new passphrase', function (done) {
+      User.once('auth:passphraseChanged', function (event) {
+        expect(event.user.id).to.be.equal(user.id);
+      });
+
+      User.unlock(user.username, function (err) {
+        expect(err).to.be.null;
+
+        User.setPassphrase(user.username, user.password, faker.internet.password(), function (err) {
+          expect(err).to.be.null;
+          expect(User.listenerCount('auth:passphraseChanged')).to.be.equal(0);
+
+          done();
+        });
+      });
+    });
+
+    it('should write events to the audit collection', function (done) {
+      // Audit writes are not awaited by the authentication
+      setTimeout(function () {
+        const collection = connection.db.collection('authaudittest');
+
+        collection.find({ username: user.username }).toArray(function (err, docs) {
+          expect(err).to.be.null;
+          expect(docs.map(function (doc) { return doc.event; })).to.include.members([
+            'auth:register',
+            'auth:success',
+            'auth:failure',
+            'auth:locked',
+            'auth:passphraseChanged'
+          ]);
+
+          const success = docs.find(function (doc) { return doc.event === 'auth:success'; });
+
+          expect(success.user.toString()).to.be.equal(user.id);
+          expect(success.context).to.be.deep.equal({ ip: '127.0.0.1' });
+          expect(success.timestamp).to.be.a('date');
+
+          collection.isCapped(function (err, capped) {
+            expect(err).to.be.null;
+            expect(capped).to.be.true;
+
+            done();
+          });
+        });
+      }, 100);
+    });
+
+    it('should emit an audit error if the audit collection is not capped', function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        audit: { enabled: true, collection: 'authauditplain' }
+      });
+
+      const Plain = model(connection, 'User', schema);
+
+      connection.db.createCollection('authauditplain', function (err) {
+        expect(err).to.be.null;
+
+        Plain.once('auth:auditError', function (details) {
+          expect(details.event).to.be.equal('auth:failure');
+          expect(details.error.message).to.be.equal('Audit collection is not capped: authauditplain');
+
+          done();
+        });
+
+        Plain.authenticate(faker.internet.userName(), faker.internet.password()).catch(function (err) {
+          expect(err.code).to.be.equal('UNKNOWN_USER');
+        });
+      });
+    });
+  });
+
+  describe('with error classes', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        lockout: { attempts: 1 }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, done);
+      });
+    });
+
+    it('should export error classes', function () {
+      [
+        'UnknownUserError',
+        'IncorrectPassphraseError',
+        'MissingCredentialError',
+        'DuplicateUserError',
+        'AccountLockedError'
+      ].forEach(function (name) {
+        const err = new auth[name]('message');
+
+        expect(err).to.be.an.instanceof(auth.AuthError);
+        expect(err).to.be.an.instanceof(Error);
+        expect(err.name).to.be.equal(name);
+        expect(err.code).to.be.a('string');
+      });
+    });
+
+    it('should report a missing credential', function (done) {
+      User.authenticate(user.username, undefined, function (err) {
+        expect(err).to.be.an.instanceof(auth.MissingCredentialError);
+        expect(err.code).to.be.equal('MISSING_CREDENTIAL');
+
+        done();
+      });
+    });
+
+    it('should report an unknown user', function (done) {
+      User.authenticate(faker.internet.userName(), user.password, function (err) {
+        expect(err).to.be.an.instanceof(auth.UnknownUserError);
+        expect(err.code).to.be.equal('UNKNOWN_USER');
+        expect(err.message).to.be.equal('Unknown username');
+
+        done();
+      });
+    });
+
+    it('should report an incorrect passphrase and a locked account', function (done) {
+      User.authenticate(user.username, faker.internet.password(), function (err) {
+        expect(err).to.be.an.instanceof(auth.IncorrectPassphraseError);
+        expect(err.code).to.be.equal('INCORRECT_PASSPHRASE');
+
+        User.authenticate(user.username, user.password, function (err) {
+          expect(err).to.be.an.instanceof(auth.AccountLockedError);
+          expect(err.code).to.be.equal('ACCOUNT_LOCKED');
+
+          done();
+        });
+      });
+    });
+
+    it('should report errors with a specified error object and the same codes', function (done) {
+      class CustomError extends Error {}
+
+      const schema = userSchema();
+      schema.plugin(auth, {
+        Error: CustomError
+      });
+
+      const User = connection.model('UserCustomError', schema, 'User');
+
+      User.authenticate(faker.internet.userName(), user.password, function (err) {
+        expect(err).to.be.an.instanceof(CustomError);
+        expect(err).not.to.be.an.instanceof(auth.AuthError);
+        expect(err.code).to.be.equal('UNKNOWN_USER');
+
+        User.register(user.username, user.password, function (err) {
+          expect(err).to.be.an.instanceof(CustomError);
+          expect(err.code).to.be.equal('DUPLICATE_USER');
+
+          done();
+        });
+      });
+    });
+  });
+
+  describe('with tokens', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        token: { secret: 'my secret', issuer: 'tests', audience: 'app' }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, function (err, doc) {
+          user.id = doc.id;
+
+          done(err);
+        });
+      });
+    });
+
+    it('should not allow an unsupported algorithm', function () {
+      expect(function () {
+        userSchema().plugin(auth, { token: { secret: 'my secret', algorithm: 'none' } });
+      }).to.throw('Unsupported token algorithm: none');
+    });
+
+    it('should append the token version path, method and static', function () {
+      expect(User.schema.path('tokenVersion')).not.to.be.undefined;
+      expect(User.verifyToken).to.be.a('function');
+      expect(new User().issueToken).to.be.a('function');
+    });
+
+    it('should issue a token', function (done) {
+      User.authenticate(user.username, user.password, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.issueToken({ role: 'admin' }, function (err, token) {
+          expect(err).to.be.null;
+          expect(token).to.match(/^[\w-]+\.[\w-]+\.[\w-]+$/);
+
+          const claims = JSON.parse(new Buffer(token.split('.')[1], 'base64').toString());
+
+          expect(claims.role).to.be.equal('admin');
+          expect(claims.sub).to.be.equal(user.id);
+          expect(claims.ver).to.be.equal(0);
+          expect(claims.iss).to.be.equal('tests');
+          expect(claims.aud).to.be.equal('app');
+          expect(claims.exp - claims.iat).to.be.equal(3600);
+
+          user.token = token;
+
+          done();
+        });
+      });
+    });
+
+    it('should verify a token', function (done) {
+      User.verifyToken(user.token, function (err, result) {
+        expect(err).to.be.null;
+        expect(result.user.id).to.be.equal(user.id);
+        expect(result.claims.role).to.be.equal('admin');
+
+        done();
+      });
+    });
+
+    it('should not verify a missing token', function (done) {
+      User.verifyToken(undefined, function (err, result) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Token was not specified');
+        expect(result).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should not verify a token with an invalid signature', function (done) {
+      const parts = user.token.split('.');
+      const claims = JSON.parse(new Buffer(parts[1], 'base64').toString());
+
+      claims.role = 'owner';
+      parts[1] = new Buffer(JSON.stringify(claims)).toString('base64').replace(/=+$/, '');
+
+      User.verifyToken(parts.join('.'), function (err, result) {
+        expect(err).not.to.be.null;
+        expect(err.code).to.be.equal('INVALID_TOKEN');
+        expect(err.message).to.be.equal('Invalid token');
+        expect(result).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should not verify an unsigned token', function (done) {
+      const parts = user.token.split('.');
+
+      parts[0] = new Buffer(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64').replace(/=+$/, '');
+      parts[2] = '';
+
+      User.verifyToken(parts.join('.'), function (err) {
+        expect(err).not.to.be.null;
+        expect(err.code).to.be.equal('INVALID_TOKEN');
+
+        done();
+      });
+    });
+
+    it('should not verify a token for another audience', function () {
+      return User.findById(user.id).then(function (doc) {
+        return doc.issueToken({}, { audience: 'other' });
+      }).then(function (token) {
+        return User.verifyToken(token);
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.code).to.be.equal('INVALID_TOKEN');
+      });
+    });
+
+    it('should not verify an expired token', function () {
+      return User.findById(user.id).then(function (doc) {
+        return doc.issueToken({}, { expiresIn: -1 });
+      }).then(function (token) {
+        return User.verifyToken(token);
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.code).to.be.equal('TOKEN_EXPIRED');
+        expect(err.message).to.be.equal('Token has expired');
+      });
+    });
+
+    it('should revoke tokens upon setting a new passphrase', function (done) {
+      const password = faker.internet.password();
+
+      User.setPassphrase(user.username, user.password, password, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.tokenVersion).to.be.equal(1);
+
+        User.verifyToken(user.token, function (err, result) {
+          expect(err).not.to.be.null;
+          expect(err.code).to.be.equal('TOKEN_REVOKED');
+          expect(err.message).to.be.equal('Token has been revoked');
+          expect(result).to.be.undefined;
+
+          doc.issueToken(function (err, token) {
+            expect(err).to.be.null;
+
+            User.verifyToken(token, function (err, result) {
+              expect(err).to.be.null;
+              expect(result.claims.ver).to.be.equal(1);
+
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('with refresh tokens', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        refreshTokens: { enabled: true }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, function (err, doc) {
+          user.id = doc.id;
+
+          done(err);
+        });
+      });
+    });
+
+    it('should append the refresh tokens path, methods and static', function () {
+      const doc = new User();
+
+      expect(User.schema.path('refreshTokens')).not.to.be.undefined;
+      expect(User.rotateRefreshToken).to.be.a('function');
+      expect(doc.createRefreshToken).to.be.a('function');
+      expect(doc.listRefreshTokens).to.be.a('function');
+      expect(doc.revokeRefreshTokens).to.be.a('function');
+    });
+
+    it('should create a refresh token', function (done) {
+      User.findById(user.id, function (err, doc) {
+        expect(err).to.be.null;
+
+        doc.createRefreshToken({ userAgent: 'phone' }, function (err, token) {
+          expect(err).to.be.null;
+          expect(token).to.match(/^[0-9a-f]{32}\.[0-9a-f]{64}$/);
+
+          User.findById(user.id, function (err, doc) {
+            expect(err).to.be.null;
+            expect(doc.refreshTokens).to.have.length(1);
+            expect(doc.refreshTokens[0].family).to.be.equal(token.split('.')[0]);
+            expect(doc.refreshTokens[0].hash).not.to.be.equal(token);
+
+            user.token = token;
+
+            done();
+          });
+        });
+      });
+    });
+
+    it('should rotate a refresh token', function (done) {
+      User.rotateRefreshToken(user.token, function (err, result) {
+        expect(err).to.be.null;
+        expect(result.user.id).to.be.equal(user.id);
+        expect(result.token).not.to.be.equal(user.token);
+        expect(result.token.split('.')[0]).to.be.equal(user.token.split('.')[0]);
+
+        user.rotated = user.token;
+        user.token = result.token;
+
+        done();
+      });
+    });
+
+    it('should not rotate a missing refresh token', function (done) {
+      User.rotateRefreshToken(undefined, function (err, result) {
+        expect(err).not.to.be.null;
+        expect(err.message).to.be.equal('Refresh token was not specified');
+        expect(result).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should not rotate an incorrect refresh token', function (done) {
+      User.rotateRefreshToken(user.token.split('.')[0] + '.abc', function (err, result) {
+        expect(err).not.to.be.null;
+        expect(err.code).to.be.equal('INVALID_REFRESH_TOKEN');
+        expect(err.message).to.be.equal('Invalid refresh token');
+        expect(result).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should revoke the family when a rotated refresh token is reused', function (done) {
+      User.once('auth:refreshTokenReused', function (event) {
+        expect(event.user.id).to.be.equal(user.id);
+        expect(event.family).to.be.equal(user.token.split('.')[0]);
+      });
+
+      User.rotateRefreshToken(user.rotated, function (err, result) {
+        expect(err).not.to.be.null;
+        expect(err.code).to.be.equal('REFRESH_TOKEN_REUSED');
+        expect(err.message).to.be.equal('Refresh token was reused');
+        expect(result).to.be.undefined;
+        expect(User.listenerCount('auth:refreshTokenReused')).to.be.equal(0);
+
+        User.rotateRefreshToken(user.token, function (err) {
+          expect(err).not.to.be.null;
+          expect(err.code).to.be.equal('INVALID_REFRESH_TOKEN');
+
+          done();
+        });
+      });
+    });
+
+    it('should list and revoke refresh tokens by device', function () {
+      let doc;
+      let tokens;
+
+      return User.findById(user.id).then(function (result) {
+        doc = result;
+
+        return Promise.all([doc.createRefreshToken({ userAgent: 'phone' }), doc.createRefreshToken({ userAgent: 'laptop' })]);
+      }).then(function (result) {
+        tokens = result;
+
+        return doc.listRefreshTokens();
+      }).then(function (families) {
+        expect(families).to.have.length(2);
+        expect(families.map(function (family) { return family.device.userAgent; })).to.have.members(['phone', 'laptop']);
+        expect(families[0]).not.to.have.property('hash');
+
+        return doc.revokeRefreshTokens(tokens[0].split('.')[0]);
+      }).then(function () {
+        return doc.listRefreshTokens();
+      }).then(function (families) {
+        expect(families).to.have.length(1);
+        expect(families[0].family).to.be.equal(tokens[1].split('.')[0]);
+
+        return doc.revokeRefreshTokens();
+      }).then(function () {
+        return User.rotateRefreshToken(tokens[1]);
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.code).to.be.equal('INVALID_REFRESH_TOKEN');
+      });
+    });
+  });
+
+  describe('with hidden credentials', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.set('toJSON', {
+        transform: function (doc, ret) {
+          ret.id = ret._id;
+          delete ret._id;
+
+          return ret;
+        }
+      });
+      schema.plugin(auth, { history: { len: 2 } });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, function (err, doc) {
+          user.id = doc.id;
+
+          done(err);
+        });
+      });
+    });
+
+    it('should not select the passphrase and salt by default', function () {
+      return User.findById(user.id).then(function (doc) {
+        expect(doc.username).to.be.equal(user.username);
+        expect(doc.passphrase).to.be.undefined;
+        expect(doc.salt).to.be.undefined;
+      });
+    });
+
+    it('should select the passphrase and salt explicitly', function () {
+      return User.findById(user.id).select('+passphrase +salt').then(function (doc) {
+        expect(doc.passphrase).to.be.a('string');
+        expect(doc.salt).to.be.a('string');
+      });
+    });
+
+    it('should authenticate a user loaded without the passphrase', function () {
+      return User.findById(user.id).then(function (doc) {
+        return doc.authenticate(user.password);
+      }).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+      });
+    });
+
+    it('should authenticate a user with the other paths selected', function () {
+      return User.authenticate(user.username, user.password).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+        expect(doc.username).to.be.equal(user.username);
+        expect(doc.isSelected('passphrase')).to.be.true;
+        expect(doc.isSelected('salt')).to.be.true;
+      });
+    });
+
+    it('should authenticate a user with an inclusive selection', function () {
+      const schema = userSchema();
+      schema.plugin(auth, { select: 'name', lockout: { attempts: 3 } });
+
+      const Selected = model(connection, 'User', schema);
+
+      return Selected.authenticate(user.username, user.password).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+        expect(doc.username).to.be.undefined;
+        expect(doc.isSelected('name')).to.be.true;
+        expect(doc.isSelected('failedAttempts')).to.be.true;
+      });
+    });
+
+    it('should remove credentials from serialized output', function () {
+      return User.authenticate(user.username, user.password).then(function (doc) {
+        expect(doc.passphrase).to.be.a('string');
+
+        const json = doc.toJSON();
+        const object = doc.toObject();
+
+        expect(json.id).to.be.deep.equal(doc._id);
+        expect(json).not.to.have.any.keys('passphrase', 'salt', 'passphraseHistory');
+        expect(object).not.to.have.any.keys('passphrase', 'salt', 'passphraseHistory');
+        expect(JSON.stringify(doc)).not.to.include(doc.passphrase);
+      });
+    });
+
+    it('should allow credentials to be shown', function () {
+      const schema = userSchema();
+      schema.plugin(auth, { credentials: { hidden: false } });
+
+      const Shown = model(connection, 'User', schema);
+
+      return Shown.findById(user.id).then(function (doc) {
+        expect(doc.passphrase).to.be.a('string');
+        expect(doc.toJSON().salt).to.be.equal(doc.salt);
+      });
+    });
+  });
+
+  describe('with query updates', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        token: { secret: 'my secret' },
+        passphrase: { policy: { minLength: 8 } }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, function (err, doc) {
+          user.id = doc.id;
+
+          done(err);
+        });
+      });
+    });
+
+    it('should hash a passphrase set with `$set`', function () {
+      const password = faker.internet.password(12);
+
+      return User.updateOne({ username: user.username }, { $set: { passphrase: password } }).then(function () {
+        return User.findById(user.id).select('+passphrase +salt').exec();
+      }).then(function (doc) {
+        expect(doc.passphrase).to.match(/^\$pbkdf2-/);
+        expect(doc.passphrase).not.to.include(password);
+        expect(doc.tokenVersion).to.be.equal(1);
+
+        return User.authenticate(user.username, password);
+      }).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+
+        user.password = password;
+      });
+    });
+
+    it('should hash a passphrase set with `findOneAndUpdate`', function () {
+      const password = faker.internet.password(12);
+
+      return User.findOneAndUpdate({ _id: user.id }, { passphrase: password }, { new: true }).select('+passphrase').exec().then(function (doc) {
+        expect(doc.passphrase).to.match(/^\$pbkdf2-/);
+
+        return User.authenticate(user.username, password);
+      }).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+
+        user.password = password;
+      });
+    });
+
+    it('should hash a passphrase of an upsert', function () {
+      const username = faker.internet.userName();
+      const password = faker.internet.password(12);
+
+      return User.updateOne({ username: username }, { $setOnInsert: { passphrase: password } }, { upsert: true }).then(function () {
+        return User.authenticate(username, password);
+      }).then(function (doc) {
+        expect(doc.username).to.be.equal(username);
+      });
+    });
+
+    it('should not update a passphrase violating the policy', function () {
+      return User.updateOne({ _id: user.id }, { passphrase: 'short' }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.name).to.be.equal('ValidationError');
+        expect(err.errors.passphrase.kind).to.be.equal('minLength');
+      });
+    });
+
+    it('should check the policy against the user matched by the query', function () {
+      const password = faker.internet.password(12);
+      const validated = [];
+      const schema = userSchema();
+      schema.plugin(auth, {
+        passphrase: {
+          policy: {
+            username: true,
+            validator: function (passphrase, doc) {
+              validated.push(doc);
+            }
+          }
+        }
+      });
+
+      const Policy = model(connection, 'User', schema);
+
+      return Policy.findByIdAndUpdate(user.id, { passphrase: 'my ' + user.username }).exec().then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }, function (err) {
+        expect(err.name).to.be.equal('ValidationError');
+        expect(err.errors.passphrase.kind).to.be.equal('username');
+
+        return Policy.findByIdAndUpdate(user.id, { passphrase: password }).exec();
+      }).then(function () {
+        expect(validated).to.have.length(1);
+        expect(validated[0].id).to.be.equal(user.id);
+        expect(validated[0].username).to.be.equal(user.username);
+
+        user.password = password;
+      });
+    });
+
+    it('should not update the passphrase of multiple users', function () {
+      return User.updateMany({}, { passphrase: faker.internet.password(12) }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Passphrase cannot be updated for multiple users');
+        expect(err).to.be.an.instanceof(auth.AuthError);
+        expect(err.code).to.be.equal('UNSUPPORTED_PASSPHRASE_UPDATE');
+      });
+    });
+
+    it('should reject unsupported updates with a custom message', function () {
+      const schema = userSchema();
+      schema.plugin(auth, { passphrase: { updateMultipleError: 'Use setPassphrase' } });
+
+      const Custom = model(connection, 'User', schema);
+
+      return Custom.updateMany({}, { passphrase: faker.internet.password(12) }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Use setPassphrase');
+        expect(err.code).to.be.equal('UNSUPPORTED_PASSPHRASE_UPDATE');
+      });
+    });
+
+    it('should not update the passphrase with other operators', function () {
+      return User.updateOne({ _id: user.id }, { $rename: { name: 'passphrase' } }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Passphrase can only be updated with `$set` or `$setOnInsert`');
+        expect(err.code).to.be.equal('UNSUPPORTED_PASSPHRASE_UPDATE');
+
+        return User.authenticate(user.username, user.password);
+      }).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+      });
+    });
+
+    it('should not update the passphrase with a history', function () {
+      const schema = userSchema();
+      schema.plugin(auth, { history: { len: 2 } });
+
+      const History = model(connection, 'User', schema);
+
+      return History.updateOne({ _id: user.id }, { passphrase: faker.internet.password(12) }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Passphrase cannot be updated by a query with passphrase history (use `setPassphrase`)');
+        expect(err.code).to.be.equal('UNSUPPORTED_PASSPHRASE_UPDATE');
+      });
+    });
+  });
+
+  describe('with imported users', function () {
+    // Verifies hashes of the form `$2b$<passphrase>` in place of a bcrypt library
+    const adapter = {
+      id: 'bcrypt',
+      hash: function (passphrase) {
+        return '$2b$' + passphrase;
+      },
+      verify: function (passphrase, stored) {
+        return stored === '$2b$' + passphrase;
+      },
+      identify: function (stored) {
+        return /^\$2[aby]\$/.test(stored);
+      }
+    };
+    let User;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, { hash: { adapters: [adapter] } });
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(done);
+    });
+
+    it('should import and upgrade a salted SHA-1 hash', function () {
+      const username = faker.internet.userName();
+      const password = faker.internet.password();
+      const salt = crypto.randomBytes(8).toString('hex');
+      const hash = crypto.createHash('sha1').update(password + salt).digest('hex');
+
+      return User.importUser(username, { hash: hash, salt: salt, algorithm: 'sha1' }, { name: 'Tom' }).then(function (doc) {
+        expect(doc.name).to.be.equal('Tom');
+        expect(doc.passphrase).to.be.equal('$salted-sha1$s=0,e=hex$' + salt + '$' + hash);
+
+        return User.authenticate(username, password);
+      }).then(function (doc) {
+        expect(doc.passphrase).to.match(/^\$pbkdf2-/);
+
+        return User.authenticate(username, password);
+      }).then(function (doc) {
+        expect(doc).to.be.an('object');
+      });
+    });
+
+    it('should import a hash with the salt first', function () {
+      const username = faker.internet.userName();
+      const password = faker.internet.password();
+      const hash = crypto.createHash('sha256').update('salt' + password).digest('base64');
+
+      return User.importUser(username, {
+        hash: hash,
+        salt: 'salt',
+        algorithm: 'sha256',
+        params: { saltFirst: true, encoding: 'base64' }
+      }).then(function () {
+        return User.authenticate(username, password);
+      }).then(function (doc) {
+        expect(doc.passphrase).to.match(/^\$pbkdf2-/);
+      });
+    });
+
+    it('should import and upgrade a hash of an adapter', function () {
+      const username = faker.internet.userName();
+
+      return User.importUser(username, { hash: '$2b$my passphrase', algorithm: 'bcrypt' }).then(function (doc) {
+        expect(doc.passphrase).to.be.equal('$2b$my passphrase');
+
+        return User.authenticate(username, 'my passphrase');
+      }).then(function (doc) {
+        expect(doc.passphrase).to.match(/^\$pbkdf2-/);
+      });
+    });
+
+    it('should import a bare pbkdf2 hash', function () {
+      const username = faker.internet.userName();
+      const password = faker.internet.password();
+      const params = { iterations: 1000, keylen: 64, digest: 'sha256', encoding: 'hex' };
+      const hash = crypto.pbkdf2Sync(password, 'salt', params.iterations, params.keylen, params.digest).toString('hex');
+
+      return User.importUser(username, { hash: hash, salt: 'salt', algorithm: 'pbkdf2', params: params }).then(function (doc) {
+        expect(doc.passphrase).to.be.equal('$pbkdf2-sha256$i=1000,l=64,e=hex$salt$' + hash);
+
+        return User.authenticate(username, password);
+      }).then(function (doc) {
+        expect(doc.passphrase).to.match(/^\$pbkdf2-sha512\$i=25000,/);
+      });
+    });
+
+    it('should not authenticate an incorrect passphrase', function (done) {
+      const username = faker.internet.userName();
+      const hash = crypto.createHash('sha1').update('my passphrase').digest('hex');
+
+      User.importUser(username, { hash: hash, algorithm: 'sha1' }, function (err) {
+        expect(err).to.be.null;
+
+        User.authenticate(username, 'not my passphrase', function (err, doc) {
+          expect(err.code).to.be.equal('INCORRECT_PASSPHRASE');
+          expect(doc).to.be.undefined;
+
+          done();
+        });
+      });
+    });
+
+    it('should not import an unsupported algorithm', function () {
+      return User.importUser(faker.internet.userName(), { hash: 'abc', algorithm: 'unknown' }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Unsupported hash algorithm: unknown');
+      });
+    });
+
+    it('should report errors of a batch import by row', function () {
+      const username = faker.internet.userName();
+      const hash = crypto.createHash('sha1').update('my passphrase').digest('hex');
+
+      return User.importUsers([
+        { username: username, credentials: { hash: hash, algorithm: 'sha1' } },
+        { username: username, credentials: { hash: hash, algorithm: 'sha1' } },
+        { username: faker.internet.userName() },
+        { username: faker.internet.userName(), credentials: { hash: '$2b$my passphrase', algorithm: 'bcrypt' } }
+      ]).then(function (result) {
+        expect(result.imported).to.be.equal(2);
+        expect(result.errors).to.have.length(2);
+        expect(result.errors[0].index).to.be.equal(1);
+        expect(result.errors[0].username).to.be.equal(username);
+        expect(result.errors[0].error.code).to.be.equal('DUPLICATE_USER');
+        expect(result.errors[1].index).to.be.equal(2);
+        expect(result.errors[1].error.code).to.be.equal('MISSING_CREDENTIAL');
+      });
+    });
+  });
+
+  describe('with options objects', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth);
+
+      user = {
+        name: faker.name.findName(),
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(done);
+    });
+
+    it('should register a new user', function () {
+      return User.register({
+        username: user.username,
+        passphrase: user.password,
+        extra: { name: user.name }
+      }).then(function (doc) {
+        expect(doc.username).to.be.equal(user.username);
+        expect(doc.name).to.be.equal(user.name);
+      });
+    });
+
+    it('should authenticate a user', function () {
+      const events = [];
+
+      User.once('auth:success', function (event) {
+        events.push(event);
+      });
+
+      return User.authenticate({
+        username: user.username,
+        passphrase: user.password,
+        context: { ip: '127.0.0.1' }
+      }).then(function (doc) {
+        expect(doc.username).to.be.equal(user.username);
+        expect(events[0].context).to.be.deep.equal({ ip: '127.0.0.1' });
+
+        return doc.authenticate({ passphrase: user.password });
+      }).then(function (doc) {
+        expect(doc.username).to.be.equal(user.username);
+      });
+    });
+
+    it('should set a passphrase', function () {
+      const password = faker.internet.password();
+
+      return User.setPassphrase({
+        username: user.username,
+        passphrase: user.password,
+        newPassphrase: password
+      }).then(function (doc) {
+        user.password = password;
+
+        return doc.setPassphrase({ passphrase: password, extra: { displayName: 'Tom' } });
+      }).then(function (doc) {
+        expect(doc.displayName).to.be.equal('Tom');
+
+        return User.authenticate(user.username, password);
+      }).then(function (doc) {
+        expect(doc.username).to.be.equal(user.username);
+      });
+    });
+
+    it('should call a callback with an options object', function (done) {
+      const result = User.authenticate({ username: user.username, passphrase: user.password }, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.username).to.be.equal(user.username);
+
+        done();
+      });
+
+      expect(result).to.be.undefined;
+    });
+
+    it('should not call a throwing callback again', function (done) {
+      const params = { iterations: 1000, keylen: 64, digest: 'sha256', encoding: 'hex' };
+      const hash = crypto.pbkdf2Sync(faker.internet.password(), 'salt', params.iterations, params.keylen, params.digest).toString('hex');
+      // Replace mocha's handler to catch the error thrown by the callback
+      const handlers = process.listeners('uncaughtException');
+      let calls = 0;
+
+      process.removeAllListeners('uncaughtException');
+      process.once('uncaughtException', function (err) {
+        handlers.forEach(function (handler) {
+          process.on('uncaughtException', handler);
+        });
+
+        expect(err.message).to.be.equal('Callback failed');
+
+        setTimeout(function () {
+          expect(calls).to.be.equal(1);
+
+          done();
+        }, 50);
+      });
+
+      User.importUser(faker.internet.userName(), { hash: hash, salt: 'salt', algorithm: 'pbkdf2', params: params }, function (err) {
+        calls++;
+
+        if (err) { return done(err); }
+
+        throw new Error('Callback failed');
+      });
+    });
+
+    it('should not register a user with an aborted signal', function () {
+      const username = faker.internet.userName();
+
+      return User.register({
+        username: username,
+        passphrase: faker.internet.password(),
+        signal: signal(true)
+      }).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.name).to.be.equal('AbortError');
+        expect(err.code).to.be.equal('ABORT_ERR');
+
+        return User.findOne({ username: username });
+      }).then(function (doc) {
+        expect(doc).to.be.null;
+      });
+    });
+
+    it('should reject authentication once the signal is aborted', function () {
+      const controller = signal(false);
+      const attempt = User.authenticate({
+        username: user.username,
+        passphrase: user.password,
+        signal: controller
+      });
+
+      controller.abort();
+
+      return attempt.then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }).catch(function (err) {
+        expect(err.name).to.be.equal('AbortError');
+      });
+    });
+
+    // A minimal `AbortSignal` (not available before Node v15)
+    function signal(aborted) {
+      return {
+        aborted: aborted,
+        listeners: [],
+        addEventListener: function (event, listener) {
+          this.listeners.push(listener);
+        },
+        removeEventListener: function (event, listener) {
+          this.listeners = this.listeners.filter(function (fn) {
+            return fn !== listener;
+          });
+        },
+        abort: function () {
+          this.aborted = true;
+          this.listeners.forEach(function (listener) {
+            listener();
+          });
+        }
+      };
+    }
+  });
+
+  describe('with rate limiting', function () {
+    let User;
+    let user;
+
+    before(function (done) {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        lockout: { attempts: 10 },
+        rateLimit: {
+          enabled: true,
+          maxPerUsername: 2,
+          maxPerClient: 3,
+          store: new auth.rateLimit.MemoryStore()
+        }
+      });
+
+      user = {
+        username: faker.internet.userName(),
+        password: faker.internet.password()
+      };
+
+      User = model(connection, 'User', schema);
+
+      User.collection.remove(function () {
+        User.register(user.username, user.password, function (err, doc) {
+          user.id = doc.id;
+
+          done(err);
+        });
+      });
+    });
+
+    it('should not rate limit by default', function () {
+      const schema = userSchema();
+      schema.plugin(auth);
+
+      expect(auth.getOptions(schema).rateLimit.enabled).to.be.false;
+    });
+
+    it('should reject attempts exceeding the username limit before hashing', function () {
+      const events = [];
+
+      User.on('auth:failure', function (event) {
+        events.push(event);
+      });
+
+      return User.authenticate(user.username, faker.internet.password()).catch(function (err) {
+        expect(err.code).to.be.equal('INCORRECT_PASSPHRASE');
+
+        return User.authenticate(user.username, user.password);
+      }).then(function (doc) {
+        expect(doc.id).to.be.equal(user.id);
+
+        // Usernames are counted case insensitively
+        return User.authenticate(user.username.toUpperCase(), user.password);
+      }).then(function () {
+        throw new Error('Expected a rate limited attempt');
+      }, function (err) {
+        expect(err).to.be.an.instanceof(auth.RateLimitedError);
+        expect(err.message).to.be.equal('Too many authentication attempts');
+        expect(err.code).to.be.equal('RATE_LIMITED');
+        // Up to two windows (until the attempts of the current window slide out)
+        expect(err.retryAfter).to.be.within(1, 2 * 15 * 60);
+        expect(events[events.length - 1].reason).to.be.equal('rateLimited');
+
+        User.removeAllListeners('auth:failure');
+
+        return User.findById(user.id).exec();
+      }).then(function (doc) {
+        // Rate limited attempts are not counted as failures
+        expect(doc.failedAttempts).to.be.equal(0);
+      });
+    });
+
+    it('should reject attempts exceeding the client limit', function () {
+      const ip = faker.internet.ip();
+      const attempt = function (username, clientKey) {
+        return User.authenticate({
+          username: username,
+          passphrase: faker.internet.password(),
+          context: { ip: ip },
+          clientKey: clientKey
+        }).catch(function (err) {
+          return err;
+        });
+      };
+
+      return attempt(faker.internet.userName()).then(function () {
+        return attempt(faker.internet.userName());
+      }).then(function () {
+        return attempt(faker.internet.userName());
+      }).then(function (err) {
+        expect(err.code).to.be.equal('UNKNOWN_USER');
+
+        return attempt(faker.internet.userName());
+      }).then(function (err) {
+        expect(err.code).to.be.equal('RATE_LIMITED');
+
+        // A specified client key takes precedence over the context
+        return attempt(faker.internet.userName(), faker.internet.ip());
+      }).then(function (err) {
+        expect(err.code).to.be.equal('UNKNOWN_USER');
+      });
+    });
+
+    it('should rate limit the passphrase verified when setting a passphrase', function () {
+      const username = faker.internet.userName();
+      const password = faker.internet.password();
+      const events = [];
+
+      User.on('auth:failure', function (event) {
+        events.push(event);
+      });
+
+      return User.register(username, password).then(function () {
+        return User.setPassphrase(username, faker.internet.password(), faker.internet.password());
+      }).catch(function (err) {
+        expect(err.code).to.be.equal('INCORRECT_PASSPHRASE');
+        expect(events[0].reason).to.be.equal('incorrectPassphrase');
+
+        return User.setPassphrase(username, faker.internet.password(), faker.internet.password());
+      }).catch(function (err) {
+        expect(err.code).to.be.equal('INCORRECT_PASSPHRASE');
+
+        return User.setPassphrase(username, password, faker.internet.password());
+      }).then(function () {
+        throw new Error('Expected a rate limited attempt');
+      }, function (err) {
+        expect(err.code).to.be.equal('RATE_LIMITED');
+        expect(events[2].reason).to.be.equal('rateLimited');
+
+        User.removeAllListeners('auth:failure');
+      });
+    });
+
+    it('should keep counters in a collection by default', function () {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        rateLimit: { enabled: true, maxPerUsername: 1 }
+      });
+
+      const RateLimitedUser = model(connection, 'RateLimitedUser', schema);
+      const username = faker.internet.userName();
+      const counters = connection.db.collection('authratelimit');
+
+      return RateLimitedUser.authenticate(username, faker.internet.password()).catch(function (err) {
+        expect(err.code).to.be.equal('UNKNOWN_USER');
+
+        return RateLimitedUser.authenticate(username, faker.internet.password());
+      }).catch(function (err) {
+        expect(err.code).to.be.equal('RATE_LIMITED');
+
+        return counters.find({ _id: new RegExp('^RateLimitedUser:username:') }).toArray();
+      }).then(function (docs) {
+        expect(docs).to.have.length(1);
+        expect(docs[0].count).to.be.equal(2);
+        expect(docs[0].expires).to.be.an.instanceof(Date);
+
+        return counters.indexInformation();
+      }).then(function (indexes) {
+        expect(indexes).to.have.property('expires_1');
+      });
+    });
+
+    it('should count attempts before the connection is open', function () {
+      const schema = userSchema();
+      schema.plugin(auth, {
+        rateLimit: { enabled: true, maxPerUsername: 1 }
+      });
+
+      const pending = mongoose.createConnection(connectionString);
+      const PendingUser = model(pending, 'RateLimitedUser', schema);
+
+      // The counters are updated once the connection is open
+      return PendingUser.authenticate(faker.internet.userName(), faker.internet.password()).then(function () {
+        // Shouldn't get here
+        throw new Error('Test failed');
+      }, function (err) {
+        expect(err.code).to.be.equal('UNKNOWN_USER');
+      }).then(function () {
+        return pending.close();
+      });
+    });
+  });
+
+  describe('with promises', function () {
+    describe('with user registration and authentication', function () {
+      let User;
+      let users;
+
+      before(function (done) {
+        const schema = userSchema();
+        schema.plugin(auth);
+
+        users = Array(3).join('.').split('.').map(function () {
+          return {
+            name: faker.name.findName(),
+            username: faker.internet.userName(),
+            password: faker.internet.password()
+          };
+        });
+
+        User = model(connection, 'User', schema);
+
+        User.collection.remove(done);
+      });
+
+      it('should not register a new user without either `username` or `passphrase` specified', function () {
+        return User.register(undefined, undefined).then(function () {
+          // Shouldn't get here
+          throw new Error('Test failed');
+        }).catch(function (err) {
+          expect(err.errors).to.have.all.keys('salt', 'username', 'passphrase');
+          expect(err.errors.salt).to.be.an('object');
+          expect(err.errors.username).to.be.an('object');
+          expect(err.errors.passphrase).to.be.an('object');
+        });
+      });
+
+      it('should register a new user', function () {
+        return User.register(users[0].username, users[0].password).then(function (user) {
+          expect(user).to.be.an('object');
+          expect(user.username).to.be.equal(users[0].username);
+          expect(user.salt).to.be.a('string');
+          expect(user.passphrase).to.be.a('string');
+          expect(user.passphrase).not.to.be.equal(users[0].password);
+
+          users[0].id = user.id;
+          users[0].salt = user.salt;
+          users[0].passphrase = user.passphrase;
+        });
+      });
+
+      it('should not register a new user with an existing `username`', function () {
+        return User.register(users[0].username, users[0].password).then(function () {
+          // Shouldn't get here
+          throw new Error('Test failed');
+        }).catch(function (err) {
+          expect(err).not.to.be.null;
+          expect(err).to.be.an.instanceof(auth.DuplicateUserError);
+          expect(err.code).to.be.equal('DUPLICATE_USER');
+        });
+      });
+
+      it('should register a new user with extra fields populated', function () {
+        return User.register(users[1].username, users[1].password, { name: users[1].name }).then(function (user) {
+          expect(user).to.be.an('object');
+          expect(user.username).to.be.equal(users[1].username);
+          expect(user.name).to.be.equal(users[1].name);
+          expect(user.salt).to.be.a('string');
+          expect(user.passphrase).to.be.a('string');
+          expect(user.passphrase).not.to.be.equal(users[1].password);
+
+          users[1].id = user.id;
+          users[1].salt = user.salt;
+          users[1].passphrase = user.passphrase;
+        });
+      });
+
+      it('should not authenticate an unspecified user', function () {
+        return User.authenticate(undefined, undefined).then(function () {
+          // Shouldn't get here
+          throw new Error('Test failed');
+        }).catch(function (err) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Username was not specified');
+        });
+      });
+
+      it('should not authenticate an unknown user', function () {
+        return User.authenticate(users[2].username, undefined).then(function () {
+          // Shouldn't get here
+          throw new Error('Test failed');
+        }).catch(function (err) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Unknown username');
+        });
+      });
+
+      it('should not authenticate an unspecified passphrase', function () {
+        return User.authenticate(users[0].username, undefined).then(function () {
+          // Shouldn't get here
+          throw new Error('Test failed');
+        }).catch(function (err) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Passphrase was not specified');
+        });
+      });
+
+      it('should not authenticate a user with an incorrect passphrase', function () {
+        return User.authenticate(users[0].username, faker.internet.password()).then(function () {
+          // Shouldn't get here
+          throw new Error('Test failed');
+        }).catch(function (err) {
+          expect(err).not.to.be.null;
+          expect(err.message).to.be.equal('Incorrect passphrase');
+        });
+      });
+
+      it('should authenticate a user with correct username/passphrase', function () {
+        return User.authenticate(users[0].username, users[0].password).then(function (user) {
+          expect(user).to.be.an('object');
+          expect(user.id).to.be.equal(users[0].id);
+          expect(user.salt).to.be.a('string');
+          expect(user.salt).to.be.equal(users[0].salt);
+          expect(user.passphrase).to.be.a('string');
+          expect(user.passphrase).to.be.equal(users[0].passphrase);
+        });
+      });
+
+      it('should update the passphrase and authenticate', function () {
+        const password = faker.internet.password();
+
+        return User.setPassphrase(users[1].username, users[1].password, password).then(function (user) {
+          expect(user).to.be.an('object');
+          expect(user.id).to.be.equal(users[1].id);
+          expect(user.salt).to.be.a('string');
+          expect(user.salt).not.to.be.equal(users[1].salt);
+          expect(user.passphrase).to.be.a('string');
+          expect(user.passphrase).not.to.be.equal(users[1].passphrase);
+
+          users[1].password = password;
+          users[1].id = user.id;
+          users[1].salt = user.salt;
+          users[1].passphrase = user.passphrase;
+
+          return user.authenticate(users[1].password).then(function (user) {
+            expect(user).to.be.an('object');
+            expect(user.id).to.be.equal(users[1].id);
+            expect(user.salt).to.be.a('string');
+            expect(user.salt).to.be.equal(users[1].salt);
+            expect(user.passphrase).to.be.a('string');
+            expect(user.passphrase).to.be.equal(users[1].passphrase);
+          });
+        });
+      });
+
+      it('should update the passphrase and authenticate with extra fields populated', function () {
+        const password = faker.internet.password();
+
+        return User.setPassphrase(users[1].username, users[1].password, password, { name: faker.name.findName() }).then(function (user) {
+          expect(user).to.be.an('object');
+          expect(user.id).to.be.equal(users[1].id);
+          expect(user.salt).to.be.a('string');
+          expect(user.salt).not.to.be.equal(users[1].salt);
+          expect(user.passphrase).to.be.a('string');
+          expect(user.passphrase).not.to.be.equal(users[1].passphrase);
+          expect(user.name).not.to.be.equal(users[1].name);
+
+          users[1].password = password;
+          users[1].id = user.id;
+          users[1].salt = user.salt;
+          users[1].passphrase = user.passphrase;
+          users[1].name = user.name;
+
+          return user.authenticate(users[1].password).then(function (user) {
+            expect(user).to.be.an('object');
+            expect(user.id).to.be.equal(users[1].id);
+            expect(user.salt).to.be.a('string');
+            expect(user.salt).to.be.equal(users[1].salt);
+            expect(user.passphrase).to.be.a('string');
+            expect(user.passphrase).to.be.equal(users[1].passphrase);
+          });
+        });
+      });
+
+      it('should authenticate and update the passphrase', function () {
+        return User.authenticate(users[0].username, users[0].password).then(function (user) {
+          const password = faker.internet.password();
+
+          expect(user).to.be.an('object');
+          expect(user.id).to.be.equal(users[0].id);
+          expect(user.salt).to.be.a('string');
+          expect(user.salt).to.be.equal(users[0].salt);
+          expect(user.passphrase).to.be.a('string');
+          expect(user.passphrase).to.be.equal(users[0].passphrase);
+
+          return user.setPassphrase(password).then(function (user) {
+            expect(user).to.be.an('object');
+            expect(user.id).to.be.equal(users[0].id);
+            expect(user.salt).to.be.a('string');
+            expect(user.salt).not.to.be.equal(users[0].salt);
+            expect(user.passphrase).to.be.a('string');
+            expect(user.passphrase).not.to.be.equal(users[0].passphrase);
+
+            users[0].password = password;
+            users[0].id = user.id;
+            users[0].salt = user.salt;
+            users[0].passphrase = user.passphrase;
+          });
+        });
+      });
+
+      it('should authenticate and update the passphrase with extra fields populated', function () {
+        return User.authenticate(users[0].username, users[0].password).then(function (user) {
+          const password = faker.internet.password();
+
+          expect(user).to.be.an('object');
+          expect(user.id).to.be.equal(users[0].id);
+          expect(user.salt).to.be.a('string');
+          expect(user.salt).to.be.equal(users[0].salt);
+          expect(user.passphrase).to.be.a('string');
+          expect(user.passphrase).to.be.equal(users[0].passphrase);
+
+          return user.setPassphrase(password, { name: faker.name.findName() }).then(function (user) {
+            expect(user).to.be.an('object');
+            expect(user.id).to.be.equal(users[0].id);
+            expect(user.salt).to.be.a('string');
+            expect(user.salt).not.to.be.equal(users[0].salt);
+            expect(user.passphrase).to.be.a('string');
+            expect(user.passphrase).not.to.be.equal(users[0].passphrase);
+            expect(user.name).not.to.be.equal(users[0].name);
+
+            users[0].password = password;
+            users[0].id = user.id;
+            users[0].salt = user.salt;
+            users[0].passphrase = user.passphrase;
+            users[0].name = user.name;
+          });
+        });
+      });
+    });
+
+    describe('with user registration with usernamePath set to `_id`', function () {
       let User;
       let users;
 
@@ -828,3 +4150,23 @@ function userSchema() {
     displayName: String
   });
 }
+
+// Generates the TOTP code for a base32 secret offset by a number of time steps
+function totp(secret, offset) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = secret.split('').map(function (char) {
+    return ('00000' + alphabet.indexOf(char).toString(2)).slice(-5);
+  }).join('');
+  const key = new Buffer(bits.match(/.{8}/g).map(function (byte) {
+    return parseInt(byte, 2);
+  }));
+  const counter = new Buffer(8);
+
+  counter.fill(0);
+  counter.writeUInt32BE(Math.floor(Date.now() / 30000) + (offset || 0), 4);
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const code = hmac.readUInt32BE(hmac[hmac.length - 1] & 0xf) & 0x7fffffff;
+
+  return ('000000' + (code % 1000000)).slice(-6);
+}
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Error classes for failures reported by the plugin. Each error has a stable `code` for matching instead of the (configurable) message.
+ * *If `options.Error` is specified, errors are instances of that object instead (with the same `code`).*
+ * @module mongoose-plugin-auth/errors
+ * @example
+```js
+const authPlugin = require('mongoose-plugin-auth');
+
+MyUserModel.authenticate('tom', 'my secret passphrase').catch(function(err) {
+  if (err instanceof authPlugin.IncorrectPassphraseError) {...}
+  if (err.code === 'ACCOUNT_LOCKED') {...}
+});
+```
+*/
+
+/**
+ * The base class of all errors reported by the plugin.
+ * Codes without a dedicated class: `INVALID_CREDENTIALS` (see `options.credentials.generic`), `AMBIGUOUS_USER`, `PASSPHRASE_EXPIRED`, `PASSPHRASE_CHANGE_REQUIRED`, `SECOND_FACTOR_REQUIRED`, `INCORRECT_VERIFICATION_CODE`, `TOTP_UNAVAILABLE`, `INCORRECT_RECOVERY_CODE`, `INVALID_RESET_TOKEN`, `INVALID_TOKEN`, `TOKEN_EXPIRED`, `TOKEN_REVOKED`, `INVALID_REFRESH_TOKEN`, `REFRESH_TOKEN_REUSED` and `UNSUPPORTED_PASSPHRASE_UPDATE` (a passphrase set by a query update that cannot be hashed).
+ * @param {string} message - Error message.
+ * @param {string} [code=AUTH_ERROR] - Error code.
+ */
+class AuthError extends Error {
+  constructor(message, code) {
+    super(message);
+
+    if (code !== undefined) {
+      this.code = code;
+    }
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+AuthError.prototype.name = 'AuthError';
+AuthError.prototype.code = 'AUTH_ERROR';
+
+/**
+ * No user matches the username.
+ * @param {string} message - Error message.
+ * @param {string} [code=UNKNOWN_USER] - Error code.
+ */
+class UnknownUserError extends AuthError {}
+
+UnknownUserError.prototype.name = 'UnknownUserError';
+UnknownUserError.prototype.code = 'UNKNOWN_USER';
+
+/**
+ * The passphrase does not match the user.
+ * @param {string} message - Error message.
+ * @param {string} [code=INCORRECT_PASSPHRASE] - Error code.
+ */
+class IncorrectPassphraseError extends AuthError {}
+
+IncorrectPassphraseError.prototype.name = 'IncorrectPassphraseError';
+IncorrectPassphraseError.prototype.code = 'INCORRECT_PASSPHRASE';
+
+/**
+ * A required credential (e.g. the username or passphrase) was not specified.
+ * @param {string} message - Error message.
+ * @param {string} [code=MISSING_CREDENTIAL] - Error code.
+ */
+class MissingCredentialError extends AuthError {}
+
+MissingCredentialError.prototype.name = 'MissingCredentialError';
+MissingCredentialError.prototype.code = 'MISSING_CREDENTIAL';
+
+/**
+ * A user with the username already exists.
+ * @param {string} message - Error message.
+ * @param {string} [code=DUPLICATE_USER] - Error code.
+ */
+class DuplicateUserError extends AuthError {}
+
+DuplicateUserError.prototype.name = 'DuplicateUserError';
+DuplicateUserError.prototype.code = 'DUPLICATE_USER';
+
+/**
+ * The user is locked after repeated failed authentications.
+ * @param {string} message - Error message.
+ * @param {string} [code=ACCOUNT_LOCKED] - Error code.
+ */
+class AccountLockedError extends AuthError {}
+
+AccountLockedError.prototype.name = 'AccountLockedError';
+AccountLockedError.prototype.code = 'ACCOUNT_LOCKED';
+
+/**
+ * Too many authentications were attempted for the username or client (see `options.rateLimit`). The error has a `retryAfter` property with the number of seconds until an attempt is allowed again.
+ * @param {string} message - Error message.
+ * @param {string} [code=RATE_LIMITED] - Error code.
+ */
+class RateLimitedError extends AuthError {}
+
+RateLimitedError.prototype.name = 'RateLimitedError';
+RateLimitedError.prototype.code = 'RATE_LIMITED';
+
+// Every code reported by the plugin
+const codes = [
+  'AUTH_ERROR',
+  'UNKNOWN_USER',
+  'INCORRECT_PASSPHRASE',
+  'MISSING_CREDENTIAL',
+  'DUPLICATE_USER',
+  'ACCOUNT_LOCKED',
+  'RATE_LIMITED',
+  'INVALID_CREDENTIALS',
+  'AMBIGUOUS_USER',
+  'PASSPHRASE_EXPIRED',
+  'PASSPHRASE_CHANGE_REQUIRED',
+  'SECOND_FACTOR_REQUIRED',
+  'INCORRECT_VERIFICATION_CODE',
+  'TOTP_UNAVAILABLE',
+  'INCORRECT_RECOVERY_CODE',
+  'INVALID_RESET_TOKEN',
+  'INVALID_TOKEN',
+  'TOKEN_EXPIRED',
+  'TOKEN_REVOKED',
+  'INVALID_REFRESH_TOKEN',
+  'REFRESH_TOKEN_REUSED',
+  'UNSUPPORTED_PASSPHRASE_UPDATE'
+];
+
+/**
+ * Checks whether an error was reported by the plugin (as opposed to e.g. a database error). *Also recognizes errors using `options.Error` by their code.*
+ * @function isAuthError
+ * @param {Error} err - Error to check.
+ * @return {boolean}
+ */
+function isAuthError(err) {
+  return err instanceof AuthError || (!!err && codes.indexOf(err.code) !== -1);
+}
+
+module.exports = {
+  isAuthError: isAuthError,
+  AuthError: AuthError,
+  UnknownUserError: UnknownUserError,
+  IncorrectPassphraseError: IncorrectPassphraseError,
+  MissingCredentialError: MissingCredentialError,
+  DuplicateUserError: DuplicateUserError,
+  AccountLockedError: AccountLockedError,
+  RateLimitedError: RateLimitedError
+};
@@ -0,0 +1,250 @@
+'use strict';
+
+const _ = require('lodash');
+const errors = require('./errors');
+
+/**
+ * Middleware for models using the plugin. Each middleware works with [Express](https://expressjs.com/)/[Connect](https://github.com/senchalabs/connect) (`function(req, res, next)`) and [Koa](http://koajs.com/) (`function(ctx, next)`). *Only Node `http` primitives are used so no framework is required.*
+ * Failed authentications respond with `401`, a `WWW-Authenticate` header and a JSON body containing the `message` and `code` of the error. Rate limited attempts (see `options.rateLimit`) respond with `429` and a `Retry-After` header instead. Other errors are passed to `next` (Express/Connect) or rejected (Koa).
+ * The user is attached to `req` (Express/Connect) or `ctx.state` (Koa).
+ * @module mongoose-plugin-auth/middleware
+ * @example
+```js
+const authPlugin = require('mongoose-plugin-auth');
+
+app.post('/login', authPlugin.middleware.login(MyUserModel), function(req, res) {...}); // req.user
+app.get('/profile', authPlugin.middleware.requireAuth(MyUserModel), function(req, res) {...}); // req.user
+```
+*/
+
+// Codes of errors reported by `verifyToken`
+const tokenCodes = ['INVALID_TOKEN', 'TOKEN_EXPIRED', 'TOKEN_REVOKED'];
+
+module.exports = {
+  login: login,
+  requireAuth: requireAuth
+};
+
+/**
+ * Creates a middleware authenticating the credentials of the request with `Model.authenticate`. Credentials are read from HTTP Basic authentication or the request body (*parsed by e.g. `body-parser` or `koa-bodyparser`*).
+ * @function login
+ * @param {object} Model - Mongoose model using the plugin.
+ * @param {object} [opts]
+ * @param {string} [opts.usernameField] - the body field containing the username. *Defaults to the (first) username path of the plugin.*
+ * @param {string} [opts.passwordField=password] - the body field containing the passphrase.
+ * @param {string} [opts.property=user] - the property the authenticated user is attached to.
+ * @param {string|boolean} [opts.session=userId] - the session key the user id is stored in (if a session exists). The session is regenerated first (preventing session fixation) if it has a `regenerate` function (e.g. `express-session`). *Other sessions (e.g. `koa-session`) must be regenerated by the application before `login`. A value of `false` disables storing the user id.*
+ * @param {string} [opts.realm=Users] - the realm of the `WWW-Authenticate` header.
+ * @param {function} [opts.context] - function called with the request returning the context for the emitted events, audit trail and rate limiting (see `options.rateLimit.clientKey`). *Defaults to the address of the client (`{ ip }`) as determined by Express (`req.ip`, e.g. trusting a proxy) or the socket.*
+ * @return {function}
+ */
+function login(Model, opts) {
+  // Required here as the plugin exposes this module (a circular dependency)
+  const auth = require('./auth');
+
+  opts = _.assign({
+    usernameField: auth.getUsernamePath(Model),
+    passwordField: 'password',
+    property: 'user',
+    session: 'userId',
+    realm: 'Users',
+    context: requestContext
+  }, opts);
+
+  return middleware(opts, function authenticateRequest(request) {
+    const credentials = basicCredentials(request.req) || {
+      username: _.get(request.body, opts.usernameField),
+      passphrase: _.get(request.body, opts.passwordField)
+    };
+    const context = _.isFunction(opts.context) ? opts.context(request.req) : undefined;
+
+    return Model.authenticate(credentials.username, credentials.passphrase, context).then(function authenticated(user) {
+      if (!opts.session || !request.session) { return user; }
+
+      return regenerateSession(request).then(function storeUserId(session) {
+        session[opts.session] = String(user._id);
+
+        return user;
+      });
+    });
+  }, function challenge() {
+    return 'Basic realm="' + opts.realm + '", charset="UTF-8"';
+  });
+}
+
+/**
+ * Creates a middleware requiring an authenticated user. The user is (in order):
+ * - already attached to the request (e.g. by `login` or Passport).
+ * - the subject of a `Bearer` token verified with `Model.verifyToken` (*only if `options.token.secret` is set*). The claims are attached to `opts.claimsProperty`.
+ * - loaded by the user id stored in the session (e.g. by `login`).
+ * @function requireAuth
+ * @param {object} Model - Mongoose model using the plugin.
+ * @param {object} [opts]
+ * @param {string} [opts.property=user] - the property the authenticated user is attached to.
+ * @param {string} [opts.claimsProperty=claims] - the property the claims of a verified token are attached to.
+ * @param {string|boolean} [opts.session=userId] - the session key the user id is read from. *A value of `false` disables sessions.*
+ * @param {string} [opts.realm=Users] - the realm of the `WWW-Authenticate` header.
+ * @param {string} [opts.missingError=Authentication is required] - message returned if the request is not authenticated.
+ * @return {function}
+ */
+function requireAuth(Model, opts) {
+  opts = _.assign({
+    property: 'user',
+    claimsProperty: 'claims',
+    session: 'userId',
+    realm: 'Users',
+    missingError: 'Authentication is required'
+  }, opts);
+
+  return middleware(opts, function authenticateRequest(request) {
+    if (request.target[opts.property]) {
+      return Promise.resolve(request.target[opts.property]);
+    }
+
+    const token = bearerToken(request.req);
+
+    if (token !== undefined && _.isFunction(Model.verifyToken)) {
+      return Model.verifyToken(token).then(function verified(result) {
+        request.target[opts.claimsProperty] = result.claims;
+
+        return result.user;
+      });
+    }
+
+    const id = opts.session && request.session ? request.session[opts.session] : undefined;
+
+    if (id === undefined || id === null) {
+      return Promise.reject(new errors.MissingCredentialError(opts.missingError));
+    }
+
+    return Model.findById(id).exec().then(function loaded(user) {
+      if (!user) {
+        // The user was removed since the session was created
+        delete request.session[opts.session];
+
+        throw new errors.UnknownUserError(opts.missingError);
+      }
+
+      return user;
+    });
+  }, function challenge(err) {
+    const challenge = 'Bearer realm="' + opts.realm + '"';
+
+    // See https://tools.ietf.org/html/rfc6750#section-3
+    return tokenCodes.indexOf(err.code) !== -1 ?
+      challenge + ', error="invalid_token", error_description="' + err.message.replace(/"/g, '\\"') + '"' :
+      challenge;
+  });
+}
+
+// Adapts an authentication to Express/Connect and Koa
+function middleware(opts, authenticateRequest, challenge) {
+  return function authMiddleware(req, res, next) {
+    // Koa calls middleware with the context and `next`
+    const ctx = _.isFunction(res) ? req : undefined;
+    const request = ctx ? {
+      req: ctx.req,
+      res: ctx.res,
+      body: ctx.request.body,
+      session: ctx.session,
+      sessionOwner: ctx,
+      target: ctx.state
+    } : {
+      req: req,
+      res: res,
+      body: req.body,
+      session: req.session,
+      sessionOwner: req,
+      target: req
+    };
+
+    const authenticated = authenticateRequest(request).then(function attach(user) {
+      request.target[opts.property] = user;
+    });
+
+    if (ctx) {
+      return authenticated.then(function koaNext() {
+        return res();
+      }, function koaError(err) {
+        if (!errors.isAuthError(err)) { throw err; }
+
+        // Koa responds unless told it is handled
+        ctx.respond = false;
+        respondError(request.res, challenge(err), err);
+      });
+    }
+
+    authenticated.then(function connectNext() {
+      next();
+    }, function connectError(err) {
+      if (!errors.isAuthError(err)) { return next(err); }
+
+      respondError(request.res, challenge(err), err);
+    });
+  };
+}
+
+// Replaces the session with a new one (if supported) resolving the new session
+function regenerateSession(request) {
+  if (!_.isFunction(request.session.regenerate)) {
+    return Promise.resolve(request.session);
+  }
+
+  return new Promise(function regenerate(resolve, reject) {
+    request.session.regenerate(function regenerated(err) {
+      if (err) { return reject(err); }
+
+      // The new session replaces the previous one (e.g. `req.session` of `express-session`)
+      request.session = request.sessionOwner.session;
+
+      resolve(request.session);
+    });
+  });
+}
+
+function respondError(res, challenge, err) {
+  const body = JSON.stringify({ message: err.message, code: err.code });
+
+  if (err.code === 'RATE_LIMITED') {
+    res.statusCode = 429;
+    res.setHeader('Retry-After', String(err.retryAfter));
+  } else {
+    res.statusCode = 401;
+    res.setHeader('WWW-Authenticate', challenge);
+  }
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Length', Buffer.byteLength(body));
+  res.end(body);
+}
+
+// The address of the client (if known)
+function requestContext(req) {
+  const ip = req.ip || (req.socket ? req.socket.remoteAddress : undefined);
+
+  return ip ? { ip: ip } : undefined;
+}
+
+// Parses `Authorization: Basic <base64(username:passphrase)>`
+function basicCredentials(req) {
+  const match = /^Basic ([A-Za-z0-9+/=]+)$/i.exec(req.headers.authorization || '');
+
+  if (!match) { return; }
+
+  const decoded = new Buffer(match[1], 'base64').toString('utf8');
+  const index = decoded.indexOf(':');
+
+  if (index === -1) { return; }
+
+  return {
+    username: decoded.slice(0, index),
+    passphrase: decoded.slice(index + 1)
+  };
+}
+
+// Parses `Authorization: Bearer <token>`
+function bearerToken(req) {
+  const match = /^Bearer (\S+)$/i.exec(req.headers.authorization || '');
+
+  return match ? match[1] : undefined;
+}
@@ -0,0 +1,292 @@
+'use strict';
+
+const http = require('http');
+const expect = require('chai').expect;
+const mongoose = require('mongoose');
+const faker = require('faker');
+
+const auth = require('./auth');
+
+const connectionString = process.env.MONGO_URL || 'mongodb://localhost/unit_test';
+const Schema = mongoose.Schema;
+
+// Set Mongoose internal promise object to be the native Promise object
+mongoose.Promise = global.Promise;
+
+describe('Mongoose plugin: auth (middleware)', function () {
+  let connection;
+  let User;
+  let user;
+  let server;
+  let session;
+
+  // Prevent test timeout on travis
+  this.timeout(5000);
+
+  before(function (done) {
+    connection = mongoose.createConnection(connectionString);
+    connection.once('connected', done);
+  });
+
+  before(function (done) {
+    const schema = new Schema({ name: String });
+    schema.plugin(auth, { token: { secret: 'my secret' } });
+
+    user = {
+      username: faker.internet.userName(),
+      password: faker.internet.password()
+    };
+
+    User = connection.model('MiddlewareUser', schema, 'MiddlewareUser');
+
+    User.collection.remove(function () {
+      User.register(user.username, user.password, function (err, doc) {
+        user.id = doc.id;
+
+        done(err);
+      });
+    });
+  });
+
+  before(function (done) {
+    const login = auth.middleware.login(User);
+    const requireAuth = auth.middleware.requireAuth(User);
+
+    // A minimal Connect-style app parsing JSON bodies
+    server = http.createServer(function (req, res) {
+      let data = '';
+
+      req.session = session;
+      req.on('data', function (chunk) { data += chunk; });
+      req.on('end', function () {
+        req.body = data ? JSON.parse(data) : undefined;
+
+        (req.url === '/login' ? login : requireAuth)(req, res, function (err) {
+          if (err) {
+            res.statusCode = 500;
+            return res.end(err.message);
+          }
+
+          res.end(JSON.stringify({ id: req.user.id, claims: req.claims }));
+        });
+      });
+    });
+
+    server.listen(0, done);
+  });
+
+  beforeEach(function () {
+    session = {};
+  });
+
+  after(function (done) {
+    server.close(function () {
+      connection.db.dropDatabase(function () {
+        connection.close(done);
+      });
+    });
+  });
+
+  describe('with login', function () {
+    it('should authenticate credentials in the body', function () {
+      return request('/login', {}, { username: user.username, password: user.password }).then(function (res) {
+        expect(res.statusCode).to.be.equal(200);
+        expect(res.body.id).to.be.equal(user.id);
+        expect(session.userId).to.be.equal(user.id);
+      });
+    });
+
+    it('should use the client address as the context by default', function () {
+      let event;
+
+      User.once('auth:success', function (details) {
+        event = details;
+      });
+
+      return request('/login', {}, { username: user.username, password: user.password }).then(function (res) {
+        expect(res.statusCode).to.be.equal(200);
+        expect(event.context.ip).to.match(/127\.0\.0\.1$/);
+      });
+    });
+
+    it('should authenticate HTTP Basic credentials', function () {
+      return request('/login', { Authorization: basic(user.username, user.password) }).then(function (res) {
+        expect(res.statusCode).to.be.equal(200);
+        expect(res.body.id).to.be.equal(user.id);
+      });
+    });
+
+    it('should respond with 401 for an incorrect passphrase', function () {
+      return request('/login', { Authorization: basic(user.username, faker.internet.password()) }).then(function (res) {
+        expect(res.statusCode).to.be.equal(401);
+        expect(res.headers['www-authenticate']).to.be.equal('Basic realm="Users", charset="UTF-8"');
+        expect(res.body).to.be.deep.equal({ message: 'Incorrect passphrase', code: 'INCORRECT_PASSPHRASE' });
+        expect(session.userId).to.be.undefined;
+      });
+    });
+
+    it('should respond with 401 for missing credentials', function () {
+      return request('/login', {}).then(function (res) {
+        expect(res.statusCode).to.be.equal(401);
+        expect(res.body.code).to.be.equal('MISSING_CREDENTIAL');
+      });
+    });
+
+    it('should work with Koa', function () {
+      const ctx = {
+        req: { headers: {} },
+        res: {},
+        request: { body: { username: user.username, password: user.password } },
+        state: {}
+      };
+
+      return auth.middleware.login(User)(ctx, function () {
+        return Promise.resolve('next');
+      }).then(function (result) {
+        expect(result).to.be.equal('next');
+        expect(ctx.state.user.id).to.be.equal(user.id);
+      });
+    });
+
+    it('should respond with 429 for a rate limited attempt', function () {
+      const Limited = {
+        authenticate: function () {
+          const err = new auth.RateLimitedError('Too many authentication attempts');
+
+          err.retryAfter = 30;
+
+          return Promise.reject(err);
+        }
+      };
+      const ctx = {
+        req: { headers: {} },
+        res: {
+          headers: {},
+          setHeader: function (name, value) {
+            this.headers[name] = value;
+          },
+          end: function (body) {
+            this.body = JSON.parse(body);
+          }
+        },
+        request: { body: { username: user.username, password: user.password } },
+        state: {}
+      };
+
+      return auth.middleware.login(Limited)(ctx, function () {
+        return Promise.resolve('next');
+      }).then(function (result) {
+        expect(result).to.be.undefined;
+        expect(ctx.respond).to.be.false;
+        expect(ctx.res.statusCode).to.be.equal(429);
+        expect(ctx.res.headers['Retry-After']).to.be.equal('30');
+        expect(ctx.res.headers['WWW-Authenticate']).to.be.undefined;
+        expect(ctx.res.body.code).to.be.equal('RATE_LIMITED');
+      });
+    });
+
+    it('should regenerate the session before storing the user id', function () {
+      const regenerated = {};
+      const req = {
+        headers: {},
+        body: { username: user.username, password: user.password },
+        // Replaces the session as `express-session` does
+        session: {
+          userId: 'fixated',
+          regenerate: function (cb) {
+            req.session = regenerated;
+            cb();
+          }
+        }
+      };
+      const fixated = req.session;
+
+      return new Promise(function (resolve, reject) {
+        auth.middleware.login(User)(req, {}, function (err) {
+          if (err) { return reject(err); }
+
+          resolve();
+        });
+      }).then(function () {
+        expect(req.session).to.be.equal(regenerated);
+        expect(regenerated.userId).to.be.equal(user.id);
+        expect(fixated.userId).to.be.equal('fixated');
+      });
+    });
+  });
+
+  describe('with requireAuth', function () {
+    it('should respond with 401 if not authenticated', function () {
+      return request('/', {}).then(function (res) {
+        expect(res.statusCode).to.be.equal(401);
+        expect(res.headers['www-authenticate']).to.be.equal('Bearer realm="Users"');
+        expect(res.body).to.be.deep.equal({ message: 'Authentication is required', code: 'MISSING_CREDENTIAL' });
+      });
+    });
+
+    it('should authenticate a token', function () {
+      return User.findById(user.id).exec().then(function (doc) {
+        return doc.issueToken();
+      }).then(function (token) {
+        return request('/', { Authorization: 'Bearer ' + token });
+      }).then(function (res) {
+        expect(res.statusCode).to.be.equal(200);
+        expect(res.body.id).to.be.equal(user.id);
+        expect(res.body.claims.sub).to.be.equal(user.id);
+      });
+    });
+
+    it('should respond with 401 for an invalid token', function () {
+      return request('/', { Authorization: 'Bearer invalid' }).then(function (res) {
+        expect(res.statusCode).to.be.equal(401);
+        expect(res.headers['www-authenticate']).to.be.equal('Bearer realm="Users", error="invalid_token", error_description="Invalid token"');
+        expect(res.body.code).to.be.equal('INVALID_TOKEN');
+      });
+    });
+
+    it('should authenticate a session', function () {
+      session.userId = user.id;
+
+      return request('/', {}).then(function (res) {
+        expect(res.statusCode).to.be.equal(200);
+        expect(res.body.id).to.be.equal(user.id);
+      });
+    });
+
+    it('should respond with 401 for a removed user in the session', function () {
+      session.userId = mongoose.Types.ObjectId().toString();
+
+      return request('/', {}).then(function (res) {
+        expect(res.statusCode).to.be.equal(401);
+        expect(res.body.code).to.be.equal('UNKNOWN_USER');
+        expect(session.userId).to.be.undefined;
+      });
+    });
+  });
+
+  function request(path, headers, body) {
+    return new Promise(function (resolve, reject) {
+      const req = http.request({
+        port: server.address().port,
+        path: path,
+        method: 'POST',
+        headers: headers
+      }, function (res) {
+        let data = '';
+
+        res.on('data', function (chunk) { data += chunk; });
+        res.on('end', function () {
+          res.body = JSON.parse(data);
+          resolve(res);
+        });
+      });
+
+      req.on('error', reject);
+      req.end(body ? JSON.stringify(body) : undefined);
+    });
+  }
+});
+
+function basic(username, passphrase) {
+  return 'Basic ' + new Buffer(username + ':' + passphrase).toString('base64');
+}
@@ -0,0 +1,138 @@
+'use strict';
+
+const _ = require('lodash');
+const auth = require('./auth');
+const errors = require('./errors');
+
+/**
+ * [Passport](http://passportjs.org/) helpers for models using the plugin. *Passport is not a dependency; the strategy implements the Passport strategy interface.*
+ * @module mongoose-plugin-auth/passport
+ * @example
+```js
+const passport = require('passport');
+const authPassport = require('mongoose-plugin-auth/passport');
+
+passport.use(authPassport.createStrategy(MyUserModel));
+passport.serializeUser(authPassport.serializeUser());
+passport.deserializeUser(authPassport.deserializeUser(MyUserModel));
+```
+*/
+
+module.exports = {
+  createStrategy: createStrategy,
+  createVerify: createVerify,
+  serializeUser: serializeUser,
+  deserializeUser: deserializeUser
+};
+
+/**
+ * Creates a local (username and passphrase) strategy authenticating with `Model.authenticate`.
+ * @function createStrategy
+ * @param {object} Model - Mongoose model using the plugin.
+ * @param {object} [opts]
+ * @param {string} [opts.name=local] - the name of the strategy.
+ * @param {string} [opts.usernameField] - the request field containing the username. *Defaults to the (first) username path of the plugin.*
+ * @param {string} [opts.passwordField=password] - the request field containing the passphrase.
+ * @param {function} [opts.context] - function called with the request returning the context for the emitted events, audit trail and rate limiting (see `options.rateLimit.clientKey`). *Defaults to the address of the client (`{ ip }`) as determined by Express (`req.ip`, e.g. trusting a proxy) or the socket.*
+ * @return {object} Passport strategy.
+ */
+function createStrategy(Model, opts) {
+  opts = _.assign({
+    name: 'local',
+    usernameField: auth.getUsernamePath(Model),
+    passwordField: 'password',
+    context: requestContext
+  }, opts);
+
+  return {
+    name: opts.name,
+    // Passport provides `success`, `fail` and `error` on the strategy instance
+    authenticate: function authenticate(req) {
+      const strategy = this;
+      const verify = createVerify(Model, _.isFunction(opts.context) ? opts.context(req) : undefined);
+
+      verify(field(req, opts.usernameField), field(req, opts.passwordField), function verified(err, user, info) {
+        if (err) { return strategy.error(err); }
+
+        if (!user) { return strategy.fail(info, failureStatus(info.code)); }
+
+        strategy.success(user, info);
+      });
+    }
+  };
+}
+
+/**
+ * Creates a verify callback (e.g. for `passport-local`) authenticating with `Model.authenticate`. Errors reported by the plugin are passed as `done(null, false, { message, code })` (*including `retryAfter` for rate limited attempts*).
+ * @function createVerify
+ * @param {object} Model - Mongoose model using the plugin.
+ * @param {object} [context] - the context for the emitted events and audit trail.
+ * @return {function} verify callback with the signature `function(username, passphrase, done)`.
+ */
+function createVerify(Model, context) {
+  return function verify(username, passphrase, done) {
+    Model.authenticate(username, passphrase, context).then(function authenticated(user) {
+      done(null, user);
+    }, function authenticationError(err) {
+      if (errors.isAuthError(err)) {
+        return done(null, false, _.omitBy({
+          message: err.message,
+          code: err.code,
+          retryAfter: err.retryAfter
+        }, _.isUndefined));
+      }
+
+      done(err);
+    });
+  };
+}
+
+/**
+ * Creates a Passport `serializeUser` function storing the user id in the session.
+ * @function serializeUser
+ * @return {function}
+ */
+function serializeUser() {
+  return function serialize(user, done) {
+    done(null, String(user._id));
+  };
+}
+
+/**
+ * Creates a Passport `deserializeUser` function loading the user by the id stored in the session. A removed user is passed as `false` (invalidating the session).
+ * @function deserializeUser
+ * @param {object} Model - Mongoose model using the plugin.
+ * @return {function}
+ */
+function deserializeUser(Model) {
+  return function deserialize(id, done) {
+    Model.findById(id).exec().then(function deserialized(user) {
+      done(null, user || false);
+    }, function deserializeError(err) {
+      if (err.name === 'CastError') { return done(null, false); }
+
+      done(err);
+    });
+  };
+}
+
+// Looks up a (possibly nested) field in the request body then query
+function field(req, name) {
+  const value = _.get(req.body, name);
+
+  return value === undefined ? _.get(req.query, name) : value;
+}
+
+// The address of the client (if known)
+function requestContext(req) {
+  const ip = req.ip || (req.socket ? req.socket.remoteAddress : undefined);
+
+  return ip ? { ip: ip } : undefined;
+}
+
+// Missing credentials are a bad request and rate limited attempts are too many requests
+function failureStatus(code) {
+  if (code === 'MISSING_CREDENTIAL') { return 400; }
+
+  return code === 'RATE_LIMITED' ? 429 : 401;
+}
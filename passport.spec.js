@@ -0,0 +1,265 @@
+'use strict';
+
+const expect = require('chai').expect;
+const mongoose = require('mongoose');
+const faker = require('faker');
+
+const auth = require('./auth');
+const authPassport = require('./passport');
+
+const connectionString = process.env.MONGO_URL || 'mongodb://localhost/unit_test';
+const Schema = mongoose.Schema;
+
+// Set Mongoose internal promise object to be the native Promise object
+mongoose.Promise = global.Promise;
+
+describe('Mongoose plugin: auth (passport)', function () {
+  let connection;
+  let User;
+  let user;
+
+  // Prevent test timeout on travis
+  this.timeout(5000);
+
+  before(function (done) {
+    connection = mongoose.createConnection(connectionString);
+    connection.once('connected', done);
+  });
+
+  before(function (done) {
+    const schema = new Schema({ name: String });
+    schema.plugin(auth, { username: { path: 'email' } });
+
+    user = {
+      email: faker.internet.email(),
+      password: faker.internet.password()
+    };
+
+    User = connection.model('PassportUser', schema, 'PassportUser');
+
+    User.collection.remove(function () {
+      User.register(user.email, user.password, function (err, doc) {
+        user.id = doc.id;
+
+        done(err);
+      });
+    });
+  });
+
+  after(function (done) {
+    connection.db.dropDatabase(function () {
+      connection.close(done);
+    });
+  });
+
+  describe('with a strategy', function () {
+    it('should use the username path of the plugin', function (done) {
+      authenticate(authPassport.createStrategy(User), {
+        body: { email: user.email, password: user.password }
+      }, function (result) {
+        expect(result.action).to.be.equal('success');
+        expect(result.user.id).to.be.equal(user.id);
+
+        done();
+      });
+    });
+
+    it('should use the specified fields', function (done) {
+      const strategy = authPassport.createStrategy(User, {
+        name: 'user',
+        usernameField: 'login',
+        passwordField: 'secret'
+      });
+
+      expect(strategy.name).to.be.equal('user');
+
+      authenticate(strategy, {
+        query: { login: user.email, secret: user.password }
+      }, function (result) {
+        expect(result.action).to.be.equal('success');
+        expect(result.user.id).to.be.equal(user.id);
+
+        done();
+      });
+    });
+
+    it('should fail for a missing passphrase', function (done) {
+      authenticate(authPassport.createStrategy(User), {
+        body: { email: user.email }
+      }, function (result) {
+        expect(result.action).to.be.equal('fail');
+        expect(result.info.message).to.be.equal('Passphrase was not specified');
+        expect(result.info.code).to.be.equal('MISSING_CREDENTIAL');
+        expect(result.status).to.be.equal(400);
+
+        done();
+      });
+    });
+
+    it('should fail for an unknown username', function (done) {
+      authenticate(authPassport.createStrategy(User), {
+        body: { email: faker.internet.email(), password: user.password }
+      }, function (result) {
+        expect(result.action).to.be.equal('fail');
+        expect(result.info.message).to.be.equal('Unknown username');
+        expect(result.status).to.be.equal(401);
+
+        done();
+      });
+    });
+
+    it('should fail for an incorrect passphrase with the context', function (done) {
+      const strategy = authPassport.createStrategy(User, {
+        context: function (req) {
+          return { ip: req.ip };
+        }
+      });
+
+      User.once('auth:failure', function (event) {
+        expect(event.context).to.be.deep.equal({ ip: '127.0.0.1' });
+      });
+
+      authenticate(strategy, {
+        ip: '127.0.0.1',
+        body: { email: user.email, password: faker.internet.password() }
+      }, function (result) {
+        expect(result.action).to.be.equal('fail');
+        expect(result.info.message).to.be.equal('Incorrect passphrase');
+        expect(result.info.code).to.be.equal('INCORRECT_PASSPHRASE');
+        expect(User.listenerCount('auth:failure')).to.be.equal(0);
+
+        done();
+      });
+    });
+
+    it('should use the client address as the context by default', function (done) {
+      let event;
+
+      User.once('auth:success', function (details) {
+        event = details;
+      });
+
+      authenticate(authPassport.createStrategy(User), {
+        ip: '10.0.0.1',
+        body: { email: user.email, password: user.password }
+      }, function (result) {
+        expect(result.action).to.be.equal('success');
+        expect(event.context).to.be.deep.equal({ ip: '10.0.0.1' });
+
+        done();
+      });
+    });
+
+    it('should fail with 429 for a rate limited attempt', function (done) {
+      const Limited = {
+        authenticate: function () {
+          const err = new auth.RateLimitedError('Too many authentication attempts');
+
+          err.retryAfter = 30;
+
+          return Promise.reject(err);
+        }
+      };
+
+      authenticate(authPassport.createStrategy(Limited), {
+        body: { username: user.email, password: user.password }
+      }, function (result) {
+        expect(result.action).to.be.equal('fail');
+        expect(result.info).to.be.deep.equal({
+          message: 'Too many authentication attempts',
+          code: 'RATE_LIMITED',
+          retryAfter: 30
+        });
+        expect(result.status).to.be.equal(429);
+
+        done();
+      });
+    });
+  });
+
+  describe('with a verify callback', function () {
+    it('should pass the user', function (done) {
+      authPassport.createVerify(User)(user.email, user.password, function (err, doc, info) {
+        expect(err).to.be.null;
+        expect(doc.id).to.be.equal(user.id);
+        expect(info).to.be.undefined;
+
+        done();
+      });
+    });
+
+    it('should pass plugin errors as a failure', function (done) {
+      authPassport.createVerify(User)(user.email, faker.internet.password(), function (err, doc, info) {
+        expect(err).to.be.null;
+        expect(doc).to.be.false;
+        expect(info.message).to.be.equal('Incorrect passphrase');
+        expect(info.code).to.be.equal('INCORRECT_PASSPHRASE');
+
+        done();
+      });
+    });
+
+    it('should pass other errors', function (done) {
+      const Broken = {
+        authenticate: function () {
+          return Promise.reject(new Error('Connection lost'));
+        }
+      };
+
+      authPassport.createVerify(Broken)(user.email, user.password, function (err, doc) {
+        expect(err.message).to.be.equal('Connection lost');
+        expect(doc).to.be.undefined;
+
+        done();
+      });
+    });
+  });
+
+  describe('with sessions', function () {
+    it('should serialize the user id', function (done) {
+      authPassport.serializeUser()({ _id: user.id }, function (err, id) {
+        expect(err).to.be.null;
+        expect(id).to.be.equal(user.id);
+
+        done();
+      });
+    });
+
+    it('should deserialize the user', function (done) {
+      authPassport.deserializeUser(User)(user.id, function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc.id).to.be.equal(user.id);
+
+        done();
+      });
+    });
+
+    it('should deserialize an unknown user as false', function (done) {
+      authPassport.deserializeUser(User)('unknown', function (err, doc) {
+        expect(err).to.be.null;
+        expect(doc).to.be.false;
+
+        done();
+      });
+    });
+  });
+});
+
+// Calls a strategy as Passport does and reports the resulting action
+function authenticate(strategy, req, cb) {
+  const instance = Object.create(strategy);
+
+  instance.success = function (user, info) {
+    cb({ action: 'success', user: user, info: info });
+  };
+
+  instance.fail = function (info, status) {
+    cb({ action: 'fail', info: info, status: status });
+  };
+
+  instance.error = function (err) {
+    cb({ action: 'error', error: err });
+  };
+
+  instance.authenticate(req, {});
+}
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Rate limiting of authentication attempts (see `options.rateLimit`). Attempts are counted with a sliding window: the count of the current (fixed) window plus the count of the previous window weighted by how much of it still overlaps the sliding window.
+ * Counters are kept in a store implementing:
+ * - `increment(key, ttl)` - increments the counter of the key (expiring it after `ttl` milliseconds if new) resolving the new count.
+ * - `get(key)` - resolves the count of the key (`0` if none).
+ *
+ * Stores may return promises or values.
+ * @module mongoose-plugin-auth/rate-limit
+ * @example
+```js
+const authPlugin = require('mongoose-plugin-auth');
+
+schema.plugin(authPlugin, {
+  rateLimit: { enabled: true, store: new authPlugin.rateLimit.MemoryStore() }
+});
+```
+*/
+
+/**
+ * Keeps counters in a MongoDB collection with a TTL index on `expires` (created with the first increment). *The default store, using `options.rateLimit.collection` of the model's connection.*
+ * @param {object} collection - MongoDB driver collection.
+ */
+class MongoStore {
+  constructor(collection) {
+    this.collection = collection;
+    this.indexed = undefined;
+  }
+
+  increment(key, ttl) {
+    const store = this;
+    const collection = this.collection;
+
+    if (this.indexed === undefined) {
+      this.indexed = call(collection, 'createIndex', { expires: 1 }, { expireAfterSeconds: 0 }).catch(function indexError(err) {
+        // Retried with the next increment
+        store.indexed = undefined;
+
+        throw err;
+      });
+    }
+
+    const upsert = function upsert() {
+      return call(collection, 'findOneAndUpdate', { _id: key }, {
+        $inc: { count: 1 },
+        $setOnInsert: { expires: new Date(Date.now() + ttl) }
+      }, {
+        upsert: true,
+        // Driver v2 uses `returnOriginal` and later versions `returnDocument`
+        returnOriginal: false,
+        returnDocument: 'after'
+      });
+    };
+
+    return this.indexed.then(upsert).catch(function duplicateKey(err) {
+      // Concurrent upserts of a new key can conflict (the retry finds the inserted counter)
+      if (err.code === 11000) { return upsert(); }
+
+      throw err;
+    }).then(function counted(result) {
+      // Driver v6 resolves the document instead of the result
+      const doc = result && result.value !== undefined ? result.value : result;
+
+      return doc ? doc.count : 1;
+    });
+  }
+
+  get(key) {
+    return call(this.collection, 'findOne', { _id: key }).then(function counted(doc) {
+      return doc && doc.expires > new Date() ? doc.count : 0;
+    });
+  }
+}
+
+// Calls a collection method with a callback (mongoose queues callbacks until the connection is open but returns nothing for promises)
+function call(collection, method) {
+  const args = Array.prototype.slice.call(arguments, 2);
+
+  return new Promise(function execute(resolve, reject) {
+    collection[method].apply(collection, args.concat(function done(err, result) {
+      if (err) { return reject(err); }
+
+      resolve(result);
+    }));
+  });
+}
+
+/**
+ * Keeps counters in memory (e.g. for tests or a single process). Expired counters are removed when the next counter is incremented.
+ */
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  increment(key, ttl) {
+    const now = Date.now();
+
+    this.counters.forEach(function removeExpired(counter, counterKey, counters) {
+      if (counter.expires <= now) { counters.delete(counterKey); }
+    });
+
+    const counter = this.counters.get(key) || { count: 0, expires: now + ttl };
+
+    counter.count++;
+    this.counters.set(key, counter);
+
+    return counter.count;
+  }
+
+  get(key) {
+    const counter = this.counters.get(key);
+
+    return counter && counter.expires > Date.now() ? counter.count : 0;
+  }
+}
+
+/**
+ * Counts an attempt for the key and reports whether the limit is exceeded. *Rejected attempts are also counted.*
+ * @function consume
+ * @param {object} store - Store of the counters.
+ * @param {string} key - Key of the counter (e.g. identifying the username).
+ * @param {number} limit - Maximum number of attempts within the window.
+ * @param {number} window - Duration of the sliding window in milliseconds.
+ * @return {promise} resolves with an object containing the (weighted) `count` and, if the limit is exceeded, the milliseconds until an attempt is allowed again (`retryAfter`).
+ */
+function consume(store, key, limit, window) {
+  const now = Date.now();
+  const bucket = Math.floor(now / window);
+  const elapsed = now - bucket * window;
+
+  return Promise.all([
+    store.get(key + ':' + (bucket - 1)),
+    // Kept until the end of the next window (when it is the previous window)
+    store.increment(key + ':' + bucket, 2 * window - elapsed)
+  ]).then(function weigh(counts) {
+    const previous = counts[0];
+    const current = counts[1];
+    const count = previous * (window - elapsed) / window + current;
+
+    if (count <= limit) {
+      return { count: count };
+    }
+
+    return { count: count, retryAfter: retryAfter(previous, current, limit, window, elapsed) };
+  });
+}
+
+// Milliseconds until one more attempt is within the limit (if there are no further attempts)
+function retryAfter(previous, current, limit, window, elapsed) {
+  if (current + 1 <= limit) {
+    // Allowed once enough of the previous window slides out
+    return Math.max(0, Math.ceil(window * (previous - (limit - 1 - current)) / previous) - elapsed);
+  }
+
+  // Allowed in the next window once enough of the current window slides out
+  return window - elapsed + Math.ceil(window * Math.max(0, current - (limit - 1)) / current);
+}
+
+module.exports = {
+  MongoStore: MongoStore,
+  MemoryStore: MemoryStore,
+  consume: consume
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+const rateLimit = require('./rate-limit');
+
+describe('Mongoose plugin: auth (rate limit)', function () {
+  const window = 60 * 1000;
+  let now;
+  let dateNow;
+
+  beforeEach(function () {
+    // 15 seconds into a window
+    now = 1000 * window + 15 * 1000;
+    dateNow = Date.now;
+    Date.now = function () {
+      return now;
+    };
+  });
+
+  afterEach(function () {
+    Date.now = dateNow;
+  });
+
+  describe('with consume', function () {
+    it('should allow attempts within the limit', function () {
+      const store = new rateLimit.MemoryStore();
+
+      return rateLimit.consume(store, 'key', 2, window).then(function (result) {
+        expect(result).to.be.deep.equal({ count: 1 });
+
+        return rateLimit.consume(store, 'key', 2, window);
+      }).then(function (result) {
+        expect(result).to.be.deep.equal({ count: 2 });
+      });
+    });
+
+    it('should reject attempts exceeding the limit until the next window', function () {
+      const store = new rateLimit.MemoryStore();
+
+      store.increment('key:1000', window);
+      store.increment('key:1000', window);
+
+      return rateLimit.consume(store, 'key', 2, window).then(function (result) {
+        expect(result.count).to.be.equal(3);
+        // 45 seconds remaining in the window and another 40 seconds until `3 * (1 - 40 / 60) + 1 <= 2`
+        expect(result.retryAfter).to.be.equal(85 * 1000);
+      });
+    });
+
+    it('should weigh the previous window by its overlap', function () {
+      const store = new rateLimit.MemoryStore();
+
+      store.increment('key:999', 2 * window);
+      store.increment('key:999', 2 * window);
+      store.increment('key:999', 2 * window);
+      store.increment('key:999', 2 * window);
+
+      return rateLimit.consume(store, 'key', 3, window).then(function (result) {
+        // 4 * 45 / 60 + 1
+        expect(result.count).to.be.equal(4);
+        // Allowed once `4 * (1 - t / 60) + 1 + 1 <= 3` (t = 45 seconds into the window)
+        expect(result.retryAfter).to.be.equal(30 * 1000);
+      });
+    });
+
+    it('should use stores resolving promises', function () {
+      const counts = {};
+      const store = {
+        increment: function (key) {
+          counts[key] = (counts[key] || 0) + 1;
+
+          return Promise.resolve(counts[key]);
+        },
+        get: function (key) {
+          return Promise.resolve(counts[key] || 0);
+        }
+      };
+
+      return rateLimit.consume(store, 'key', 1, window).then(function () {
+        return rateLimit.consume(store, 'key', 1, window);
+      }).then(function (result) {
+        expect(result.count).to.be.equal(2);
+        expect(result.retryAfter).to.be.above(0);
+        expect(counts).to.be.deep.equal({ 'key:1000': 2 });
+      });
+    });
+  });
+
+  describe('with a memory store', function () {
+    it('should count until the counter expires', function () {
+      const store = new rateLimit.MemoryStore();
+
+      expect(store.get('key')).to.be.equal(0);
+      expect(store.increment('key', 1000)).to.be.equal(1);
+      expect(store.increment('key', 1000)).to.be.equal(2);
+      expect(store.get('key')).to.be.equal(2);
+
+      now += 1000;
+
+      expect(store.get('key')).to.be.equal(0);
+      expect(store.increment('key', 1000)).to.be.equal(1);
+    });
+
+    it('should remove expired counters', function () {
+      const store = new rateLimit.MemoryStore();
+
+      store.increment('expired', 1000);
+      now += 1000;
+      store.increment('key', 1000);
+
+      expect(Array.from(store.counters.keys())).to.be.deep.equal(['key']);
+    });
+  });
+});
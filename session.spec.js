@@ -0,0 +1,226 @@
+'use strict';
+
+const expect = require('chai').expect;
+const faker = require('faker');
+
+const auth = require('./auth');
+
+// Sessions require mongoose v5+ and transactions a replica set (an in-memory one is started unless `MONGO_REPLSET_URL` is set)
+// Neither is a dependency (e.g. `npm install --no-save mongoose5@npm:mongoose@5 mongodb-memory-server`)
+const mongoose = optionalRequire('mongoose5') || require('mongoose');
+const memoryServer = optionalRequire('mongodb-memory-server');
+const MongoMemoryReplSet = memoryServer && memoryServer.MongoMemoryReplSet;
+
+const describeSessions = typeof mongoose.Connection.prototype.startSession === 'function' &&
+  (process.env.MONGO_REPLSET_URL || MongoMemoryReplSet) ? describe : describe.skip;
+
+const Schema = mongoose.Schema;
+
+// Set Mongoose internal promise object to be the native Promise object
+mongoose.Promise = global.Promise;
+
+describeSessions('Mongoose plugin: auth (sessions)', function () {
+  let replSet;
+  let connection;
+  let User;
+
+  // Starting the replica set can take a while
+  this.timeout(60000);
+
+  before(function () {
+    return Promise.resolve(process.env.MONGO_REPLSET_URL || MongoMemoryReplSet.create({
+      replSet: { count: 1, storageEngine: 'wiredTiger' }
+    }).then(function (server) {
+      replSet = server;
+
+      return server.getUri();
+    })).then(function (uri) {
+      const schema = new Schema({ name: String });
+      schema.plugin(auth, {
+        lockout: { attempts: 3 },
+        token: { secret: 'my secret' },
+        refreshTokens: { enabled: true }
+      });
+
+      connection = mongoose.createConnection(uri);
+      User = connection.model('SessionUser', schema, 'SessionUser');
+
+      // Collections can't be created within a transaction
+      return User.createCollection();
+    });
+  });
+
+  after(function () {
+    return connection.db.dropDatabase().then(function () {
+      return connection.close();
+    }).then(function () {
+      if (replSet) { return replSet.stop(); }
+    });
+  });
+
+  describe('with register', function () {
+    it('should not keep a user of an aborted transaction', function () {
+      const username = faker.internet.userName();
+
+      return withTransaction(function (session) {
+        return User.register({ username: username, passphrase: faker.internet.password(), session: session }).then(function (user) {
+          expect(user.$session()).to.be.equal(session);
+
+          return User.findOne({ username: username }).session(session).exec();
+        }).then(function (user) {
+          expect(user).to.not.be.null;
+
+          throw new Error('Abort');
+        });
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Abort');
+
+        return User.findOne({ username: username }).exec();
+      }).then(function (user) {
+        expect(user).to.be.null;
+      });
+    });
+
+    it('should keep a user of a committed transaction', function () {
+      const username = faker.internet.userName();
+      const passphrase = faker.internet.password();
+
+      return withTransaction(function (session) {
+        return User.register({ username: username, passphrase: passphrase, session: session });
+      }).then(function () {
+        return User.authenticate(username, passphrase);
+      }).then(function (user) {
+        expect(user.username).to.be.equal(username);
+      });
+    });
+  });
+
+  describe('with setPassphrase', function () {
+    let user;
+
+    beforeEach(function () {
+      user = {
+        username: faker.internet.userName(),
+        passphrase: faker.internet.password(),
+        newPassphrase: faker.internet.password()
+      };
+
+      return User.register(user.username, user.passphrase);
+    });
+
+    it('should set the passphrase and revoke refresh tokens atomically', function () {
+      return withTransaction(function (session) {
+        return User.setPassphrase({
+          username: user.username,
+          passphrase: user.passphrase,
+          newPassphrase: user.newPassphrase,
+          session: session
+        }).then(function (doc) {
+          return doc.revokeRefreshTokens();
+        }).then(function () {
+          throw new Error('Abort');
+        });
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Abort');
+
+        return User.authenticate(user.username, user.passphrase);
+      }).then(function (doc) {
+        expect(doc.username).to.be.equal(user.username);
+      });
+    });
+
+    it('should use the session of the user', function () {
+      return withTransaction(function (session) {
+        return User.findOne({ username: user.username }).session(session).exec().then(function (doc) {
+          return doc.setPassphrase(user.newPassphrase);
+        });
+      }).then(function () {
+        return User.authenticate(user.username, user.newPassphrase);
+      }).then(function (doc) {
+        expect(doc.username).to.be.equal(user.username);
+      });
+    });
+  });
+
+  describe('with authenticate', function () {
+    let user;
+
+    beforeEach(function () {
+      user = {
+        username: faker.internet.userName(),
+        passphrase: faker.internet.password()
+      };
+
+      return User.register(user.username, user.passphrase);
+    });
+
+    it('should register failed attempts in the session', function () {
+      return withTransaction(function (session) {
+        return User.authenticate({
+          username: user.username,
+          passphrase: faker.internet.password(),
+          session: session
+        }).catch(function (err) {
+          expect(err.code).to.be.equal('INCORRECT_PASSPHRASE');
+
+          return User.findOne({ username: user.username }).session(session).exec();
+        }).then(function (doc) {
+          expect(doc.failedAttempts).to.be.equal(1);
+
+          throw new Error('Abort');
+        });
+      }).catch(function (err) {
+        expect(err.message).to.be.equal('Abort');
+
+        return User.findOne({ username: user.username }).exec();
+      }).then(function (doc) {
+        expect(doc.failedAttempts).to.be.equal(0);
+      });
+    });
+
+    it('should pass the session to the user', function () {
+      return withTransaction(function (session) {
+        return User.authenticate({
+          username: user.username,
+          passphrase: user.passphrase,
+          session: session
+        }).then(function (doc) {
+          expect(doc.$session()).to.be.equal(session);
+        });
+      });
+    });
+  });
+
+  // Runs the operation in a transaction committed if it resolves and aborted if it rejects
+  function withTransaction(operation) {
+    return connection.startSession().then(function (session) {
+      session.startTransaction();
+
+      return operation(session).then(function (result) {
+        return session.commitTransaction().then(function () {
+          return result;
+        });
+      }, function (err) {
+        return session.abortTransaction().then(function () {
+          throw err;
+        });
+      }).then(function (result) {
+        session.endSession();
+
+        return result;
+      }, function (err) {
+        session.endSession();
+
+        throw err;
+      });
+    });
+  }
+});
+
+function optionalRequire(name) {
+  try {
+    return require(name);
+  } catch (err) {
+    return undefined;
+  }
+}